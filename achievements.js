@@ -0,0 +1,147 @@
+/**
+ * 成就系统
+ * 根据抽签历史判断成就是否解锁，解锁状态与“我的祖国”设置保存在 localStorage
+ */
+
+const UNLOCKED_KEY = 'birth-lottery-achievements';
+const HOME_COUNTRY_KEY = 'birth-lottery-home-country';
+
+// 世界银行的七大地区
+const REGION_COUNT = 7;
+
+/**
+ * 按时间顺序展开全部抽签结果
+ */
+function flattenResults(history) {
+    return history.flatMap(entry => entry.results);
+}
+
+/**
+ * 结果的出生概率（百分数），与抽签时的权重模式无关
+ */
+function getBirthProbability(result) {
+    return result.birthProbability ?? result.probability;
+}
+
+/**
+ * 成就列表
+ * check(history, context) 返回是否满足条件，context 包含 homeCountry
+ */
+export const ACHIEVEMENTS = [
+    {
+        id: 'first-draw',
+        icon: '🐣',
+        name: '初来乍到',
+        description: '完成第一次抽签',
+        check: history => history.length > 0
+    },
+    {
+        id: 'one-in-ten-thousand',
+        icon: '🦄',
+        name: '万里挑一',
+        description: '抽中出生概率低于 0.01% 的国家',
+        check: history => flattenResults(history).some(r => getBirthProbability(r) < 0.01)
+    },
+    {
+        id: 'seven-regions',
+        icon: '🌏',
+        name: '周游世界',
+        description: '一次十连抽集齐世界银行全部七大地区',
+        check: history => history.some(entry => entry.type === 'tenDraw' &&
+            new Set(entry.results.map(r => (r.region || '').trim()).filter(Boolean)).size >= REGION_COUNT)
+    },
+    {
+        id: 'three-in-a-row',
+        icon: '🔁',
+        name: '命中注定',
+        description: '连续三次抽中同一个国家',
+        check: history => {
+            const results = flattenResults(history);
+            return results.some((r, i) => i >= 2 && r.iso2 === results[i - 1].iso2 && r.iso2 === results[i - 2].iso2);
+        }
+    },
+    {
+        id: 'home-country',
+        icon: '🏠',
+        name: '落叶归根',
+        description: '抽中自己设置的祖国',
+        check: (history, { homeCountry }) => Boolean(homeCountry) &&
+            flattenResults(history).some(r => r.iso2 === homeCountry)
+    },
+    {
+        id: 'hundred-draws',
+        icon: '💯',
+        name: '百抽老手',
+        description: '累计抽签 100 次',
+        check: history => flattenResults(history).length >= 100
+    },
+    {
+        id: 'collector',
+        icon: '📚',
+        name: '环球收藏家',
+        description: '图鉴收集 50 个国家/地区',
+        check: history => new Set(flattenResults(history).map(r => r.iso2)).size >= 50
+    }
+];
+
+/**
+ * 读取已解锁的成就: { id: 解锁时间戳 }
+ */
+export function loadUnlocked() {
+    try {
+        const unlocked = JSON.parse(localStorage.getItem(UNLOCKED_KEY) || '{}');
+        return unlocked && typeof unlocked === 'object' ? unlocked : {};
+    } catch (error) {
+        console.warn('读取成就失败:', error);
+        return {};
+    }
+}
+
+/**
+ * 根据历史记录检查成就，保存并返回本次新解锁的成就
+ */
+export function evaluateAchievements(history) {
+    const unlocked = loadUnlocked();
+    const context = { homeCountry: getHomeCountry() };
+    const newlyUnlocked = ACHIEVEMENTS.filter(a => !unlocked[a.id] && a.check(history, context));
+
+    if (newlyUnlocked.length) {
+        const now = Date.now();
+        newlyUnlocked.forEach(a => {
+            unlocked[a.id] = now;
+        });
+        try {
+            localStorage.setItem(UNLOCKED_KEY, JSON.stringify(unlocked));
+        } catch (error) {
+            console.warn('保存成就失败:', error);
+        }
+    }
+
+    return newlyUnlocked;
+}
+
+/**
+ * 获取已解锁的成就列表（按成就列表顺序）
+ */
+export function getUnlockedAchievements() {
+    const unlocked = loadUnlocked();
+    return ACHIEVEMENTS.filter(a => unlocked[a.id]);
+}
+
+/**
+ * 获取“我的祖国”（ISO2），未设置时返回空字符串
+ */
+export function getHomeCountry() {
+    return localStorage.getItem(HOME_COUNTRY_KEY) || '';
+}
+
+/**
+ * 设置“我的祖国”，传入空字符串表示清除
+ */
+export function setHomeCountry(iso2) {
+    if (iso2) {
+        localStorage.setItem(HOME_COUNTRY_KEY, iso2);
+    } else {
+        localStorage.removeItem(HOME_COUNTRY_KEY);
+    }
+}
@@ -4,19 +4,139 @@
 
 import { animate, random } from './anime.esm.js';
 import { WorldMapController } from './world-map-d3.js';
+import { createRandom, generateSeed, normalizeSeed } from './random.js';
+import { chiSquareTest, totalVariationDistance } from './statistics.js';
+import { RARITY_TIERS, PITY_MIN_TIER, getRarityTier, isTierAtLeast, countRarityTiers } from './rarity.js';
+import {
+    GENERATION_YEARS,
+    buildMigrationModel,
+    hasMigrationData,
+    getEmigrationProbability,
+    getDestinationShare,
+    simulateLineage
+} from './lineage.js';
+import { hasLifeData, simulateLife } from './life.js';
+import { SEXES, drawSex, formatSex, describeSexRatio } from './sex.js';
+import { drawBirthplace, formatBirthplace, getUrbanShare, countBirthplaces } from './birthplace.js';
+import { buildLuckTable, getLuckScore, averageLuckScore, formatLuckScore } from './luck.js';
+import { BULK_DRAW_SIZES, DEFAULT_BULK_DRAW_SIZE, summarizeDraws } from './bulk.js';
+import { getDailyKey, getDailySeed, getMsUntilTomorrow, formatCountdown } from './daily.js';
+import { validatePayload } from './schema.js';
+import { parseDatasetFile, buildCustomDataset } from './dataset.js';
+import { groupTerritories, findTerritories } from './territories.js';
+import { DATA_SOURCES, getProvenance, formatProvenanceFooter } from './provenance.js';
+import { loadHistory, saveDraw, clearHistory, buildCollection, getRarestCollected, countDraws } from './history.js';
+import {
+    MAX_PARTY_PLAYERS,
+    PARTY_SORTS,
+    createParty,
+    getCurrentPlayer,
+    isPartyFinished,
+    recordPartyResult,
+    restartParty,
+    rankPlayers
+} from './party.js';
+import {
+    ACHIEVEMENTS,
+    loadUnlocked,
+    evaluateAchievements,
+    getUnlockedAchievements,
+    getHomeCountry,
+    setHomeCountry
+} from './achievements.js';
+import {
+    drawIncomeDecile,
+    buildIncomeDistribution,
+    getDecileIncome,
+    getGlobalPercentile,
+    formatDecile
+} from './income.js';
+import {
+    WEIGHT_MODES,
+    DEFAULT_WEIGHT_MODE,
+    buildLottery,
+    isWeightModeAvailable,
+    createPool,
+    isPoolActive,
+    isDrawableCountry
+} from './lottery.js';
+
+// 可选出生年份范围（与 fetch_data.php 保持一致）
+const MIN_BIRTH_YEAR = 1960;
+const MAX_BIRTH_YEAR = 2023;
+
+// 分享图片上最多佩戴的成就徽章数
+const MAX_SHARE_BADGES = 3;
+
+// 最近一次有效数据的缓存名称（与 sw.js 保持一致）
+const DATA_CACHE = 'birth-lottery-data';
+// 内置的静态数据，数据服务不可用且没有缓存时使用
+const BUNDLED_DATA_URL = 'data_cache.json';
+
+// 导入弹窗中最多列出的无效行数
+const MAX_IMPORT_ERRORS = 10;
+
+// 抽签历史中各类抽签的名称
+const DRAW_TYPE_LABELS = {
+    single: '单抽',
+    daily: '今日投胎',
+    tenDraw: '十连抽'
+};
 
 // 全局状态
 const state = {
     data: null,
+    // 数据校验报告（丢弃的记录与缺失的可选字段），供数据诊断界面展示
+    dataReport: null,
+    // 离线回退时的数据来源：'cache' 上次缓存 / 'bundled' 内置数据，在线时为 null
+    offlineSource: null,
+    // 导入自定义数据集前的数据 { data, report, offlineSource }，用于恢复默认数据；未导入时为 null
+    baseData: null,
+    // 当前权重模式
+    weightMode: DEFAULT_WEIGHT_MODE,
+    // 是否把属地（如波多黎各、香港）并入所属主权国家抽签
+    groupTerritories: false,
+    // 自定义抽签池（按地区、收入水平筛选，或在地图上手动点选）
+    pool: createPool(),
+    // 按当前权重模式换算后的抽签数据（地图与结果都使用它）
+    lottery: null,
+    // 基于抽签数据构建的别名抽样器
+    sampler: null,
+    // 全球收入分布（按国家十分位拆分，用于估算全球收入百分位）
+    incomeDistribution: null,
+    // 运气值查询表（按出生人数加权的人均GDP分布）
+    luckTable: null,
+    // 每日挑战使用的抽签数据与抽样器（固定为默认权重模式、属地独立抽签，不受抽签池影响）
+    dailyLottery: null,
+    // 待进行的每日挑战日期键，非每日挑战时为 null
+    dailyKey: null,
     currentResult: null,
     tenDrawResults: null,
+    // 分享弹窗当前展示的内容：'single' 单抽 / 'tenDraw' 十连抽 / 'party' 派对领奖台
+    shareMode: 'single',
+    // 分享图片上佩戴的成就徽章（成就 id）
+    shareBadges: new Set(),
+    // 本次抽签新解锁、等待提示的成就
+    pendingAchievements: [],
+    // 派对模式：报名的玩家名字与进行中的派对
+    partyNames: [],
+    party: null,
+    // 当前抽签会话（种子与随机数源）
+    session: null,
+    // 公平性审计运行状态
+    audit: null,
+    // 家族传承重新模拟的次数（用于派生随机流）
+    lineageRun: 0,
     isDrawing: false,
     isTenDrawing: false,
+    isBulkDrawing: false,
     maps: {
         start: null,
         drawing: null,
         result: null,
-        tenDraw: null
+        tenDraw: null,
+        lineage: null,
+        bulk: null
     }
 };
 
@@ -24,21 +144,158 @@ const state = {
 const elements = {
     loading: document.getElementById('loading'),
     mainContent: document.getElementById('main-content'),
+    offlineBanner: document.getElementById('offline-banner'),
+    datasetBanner: document.getElementById('dataset-banner'),
+    datasetBannerText: document.getElementById('dataset-banner-text'),
+    datasetResetBtn: document.getElementById('dataset-reset-btn'),
+    importBtn: document.getElementById('import-btn'),
+    importModal: document.getElementById('import-modal'),
+    closeImportModal: document.getElementById('close-import-modal'),
+    importFile: document.getElementById('import-file'),
+    importName: document.getElementById('import-name'),
+    importConfirmBtn: document.getElementById('import-confirm-btn'),
+    importErrors: document.getElementById('import-errors'),
     startScreen: document.getElementById('start-screen'),
     drawingScreen: document.getElementById('drawing-screen'),
     resultScreen: document.getElementById('result-screen'),
     tenDrawResultScreen: document.getElementById('ten-draw-result-screen'),
+    auditScreen: document.getElementById('audit-screen'),
+    lineageScreen: document.getElementById('lineage-screen'),
+    lineageBtn: document.getElementById('lineage-btn'),
+    lineageGenerations: document.getElementById('lineage-generations'),
+    lineageRerunBtn: document.getElementById('lineage-rerun-btn'),
+    lineageBackBtn: document.getElementById('lineage-back-btn'),
+    lineageTimeline: document.getElementById('lineage-timeline'),
+    lineageNote: document.getElementById('lineage-note'),
     startBtn: document.getElementById('start-btn'),
     tenDrawBtn: document.getElementById('ten-draw-btn'),
+    dailyBtn: document.getElementById('daily-btn'),
+    dailyDate: document.getElementById('daily-date'),
+    dailyCountdown: document.getElementById('daily-countdown'),
+    resultDaily: document.getElementById('result-daily'),
+    resultTerritories: document.getElementById('result-territories'),
     retryBtn: document.getElementById('retry-btn'),
     shareBtn: document.getElementById('share-btn'),
     tenDrawRetryBtn: document.getElementById('ten-draw-retry-btn'),
     tenDrawShareBtn: document.getElementById('ten-draw-share-btn'),
     backToStartBtn: document.getElementById('back-to-start-btn'),
+    auditBtn: document.getElementById('audit-btn'),
+    provenanceBtn: document.getElementById('provenance-btn'),
+    provenanceScreen: document.getElementById('provenance-screen'),
+    provenanceBackBtn: document.getElementById('provenance-back-btn'),
+    provenanceSource: document.getElementById('provenance-source'),
+    provenanceFetchedAt: document.getElementById('provenance-fetched-at'),
+    provenanceMerged: document.getElementById('provenance-merged'),
+    provenanceDropped: document.getElementById('provenance-dropped'),
+    provenanceIndicatorBody: document.getElementById('provenance-indicator-body'),
+    provenanceDroppedBody: document.getElementById('provenance-dropped-body'),
+    footerNote: document.getElementById('footer-note'),
+    debugBtn: document.getElementById('debug-btn'),
+    debugBadge: document.getElementById('debug-badge'),
+    debugScreen: document.getElementById('debug-screen'),
+    debugBackBtn: document.getElementById('debug-back-btn'),
+    debugTotal: document.getElementById('debug-total'),
+    debugKept: document.getElementById('debug-kept'),
+    debugDroppedCount: document.getElementById('debug-dropped-count'),
+    debugVersion: document.getElementById('debug-version'),
+    debugDroppedBody: document.getElementById('debug-dropped-body'),
+    debugMissingBody: document.getElementById('debug-missing-body'),
+    bulkBtn: document.getElementById('bulk-btn'),
+    collectionBtn: document.getElementById('collection-btn'),
+    achievementsBtn: document.getElementById('achievements-btn'),
+    partyBtn: document.getElementById('party-btn'),
+    partyScreen: document.getElementById('party-screen'),
+    partyNameInput: document.getElementById('party-name-input'),
+    partyAddBtn: document.getElementById('party-add-btn'),
+    partyPlayers: document.getElementById('party-players'),
+    partyStartBtn: document.getElementById('party-start-btn'),
+    partyCancelBtn: document.getElementById('party-cancel-btn'),
+    partyBanner: document.getElementById('party-banner'),
+    partyBannerText: document.getElementById('party-banner-text'),
+    partyScoreboardBtn: document.getElementById('party-scoreboard-btn'),
+    partyEndBtn: document.getElementById('party-end-btn'),
+    partyNextBtn: document.getElementById('party-next-btn'),
+    partySortSelect: document.getElementById('party-sort-select'),
+    resultPlayer: document.getElementById('result-player'),
+    podiumScreen: document.getElementById('podium-screen'),
+    podiumSubtitle: document.getElementById('podium-subtitle'),
+    podium: document.getElementById('podium'),
+    podiumTableBody: document.getElementById('podium-table-body'),
+    podiumShareBtn: document.getElementById('podium-share-btn'),
+    podiumRestartBtn: document.getElementById('podium-restart-btn'),
+    podiumBackBtn: document.getElementById('podium-back-btn'),
+    podiumFinishBtn: document.getElementById('podium-finish-btn'),
+    achievementsScreen: document.getElementById('achievements-screen'),
+    achievementsBackBtn: document.getElementById('achievements-back-btn'),
+    achievementsProgress: document.getElementById('achievements-progress'),
+    achievementsGrid: document.getElementById('achievements-grid'),
+    homeCountrySelect: document.getElementById('home-country-select'),
+    shareBadges: document.getElementById('share-badges'),
+    collectionScreen: document.getElementById('collection-screen'),
+    collectionBackBtn: document.getElementById('collection-back-btn'),
+    collectionClearBtn: document.getElementById('collection-clear-btn'),
+    collectionProgress: document.getElementById('collection-progress'),
+    collectionPercent: document.getElementById('collection-percent'),
+    collectionTotalDraws: document.getElementById('collection-total-draws'),
+    collectionRarest: document.getElementById('collection-rarest'),
+    collectionProgressBar: document.getElementById('collection-progress-bar'),
+    collectionGrid: document.getElementById('collection-grid'),
+    collectionHistoryBody: document.getElementById('collection-history-body'),
+    bulkScreen: document.getElementById('bulk-screen'),
+    bulkSizeSelect: document.getElementById('bulk-size-select'),
+    bulkStartBtn: document.getElementById('bulk-start-btn'),
+    bulkBackBtn: document.getElementById('bulk-back-btn'),
+    bulkSeed: document.getElementById('bulk-seed'),
+    bulkResults: document.getElementById('bulk-results'),
+    bulkCountryCount: document.getElementById('bulk-country-count'),
+    bulkAverageGdp: document.getElementById('bulk-average-gdp'),
+    bulkMedianGdp: document.getElementById('bulk-median-gdp'),
+    bulkRarest: document.getElementById('bulk-rarest'),
+    bulkRegionBody: document.getElementById('bulk-region-body'),
+    bulkCountryBody: document.getElementById('bulk-country-body'),
+    auditStartBtn: document.getElementById('audit-start-btn'),
+    auditCancelBtn: document.getElementById('audit-cancel-btn'),
+    auditBackBtn: document.getElementById('audit-back-btn'),
+    auditSizeSelect: document.getElementById('audit-size-select'),
+    auditTarget: document.getElementById('audit-target'),
+    auditProgressBar: document.getElementById('audit-progress-bar'),
+    auditProgressText: document.getElementById('audit-progress-text'),
+    auditChiSquare: document.getElementById('audit-chi-square'),
+    auditPValue: document.getElementById('audit-p-value'),
+    auditVerdict: document.getElementById('audit-verdict'),
+    auditChart: document.getElementById('audit-chart'),
+    auditTableBody: document.getElementById('audit-table-body'),
+    seedInput: document.getElementById('seed-input'),
+    resultSeed: document.getElementById('result-seed'),
+    tenDrawSeed: document.getElementById('ten-draw-seed'),
+    yearSelect: document.getElementById('year-select'),
+    weightModeBtns: document.querySelectorAll('.mode-btn'),
+    weightModeDescription: document.getElementById('weight-mode-description'),
+    territoryToggle: document.getElementById('territory-toggle'),
+    territoryDescription: document.getElementById('territory-description'),
+    probabilityLabel: document.getElementById('probability-label'),
+    lifeSection: document.getElementById('life-section'),
+    luckBasis: document.getElementById('luck-basis'),
+    countryBirthplace: document.getElementById('country-birthplace'),
+    countryUrbanShare: document.getElementById('country-urban-share'),
+    percentileValue: document.getElementById('percentile-value'),
+    percentileBasis: document.getElementById('percentile-basis'),
+    sexRatioNote: document.getElementById('sex-ratio-note'),
+    lifeBars: document.getElementById('life-bars'),
+    poolRegions: document.getElementById('pool-regions'),
+    poolIncomeLevels: document.getElementById('pool-income-levels'),
+    poolSummary: document.getElementById('pool-summary'),
+    poolResetBtn: document.getElementById('pool-reset-btn'),
+    dataYearBirth: document.getElementById('data-year-birth'),
+    dataYearGdp: document.getElementById('data-year-gdp'),
+    resultBirthYear: document.getElementById('result-birth-year'),
     totalCountries: document.getElementById('total-countries'),
     totalBirths: document.getElementById('total-births'),
     roulette: document.getElementById('roulette'),
     tenDrawResults: document.getElementById('ten-draw-results'),
+    tenDrawSummary: document.getElementById('ten-draw-summary'),
+    pityToggle: document.getElementById('pity-toggle'),
+    resultRarity: document.getElementById('result-rarity'),
     shareModal: document.getElementById('share-modal'),
     closeShareModal: document.getElementById('close-share-modal'),
     shareCanvas: document.getElementById('share-canvas'),
@@ -51,9 +308,15 @@ const elements = {
  * 初始化应用
  */
 async function init() {
+    // 注册 Service Worker，缓存页面与数据以便离线使用
+    registerServiceWorker();
+
     try {
         // 加载数据
         await loadData();
+
+        // 初始化地图
+        initializeMaps();
         
         // 隐藏加载界面，显示主内容
         animate(elements.loading, {
@@ -76,6 +339,9 @@ async function init() {
         
         // 绑定事件
         bindEvents();
+
+        // 每日挑战倒计时
+        startDailyCountdown();
         
     } catch (error) {
         console.error('初始化失败:', error);
@@ -85,24 +351,130 @@ async function init() {
 
 /**
  * 加载数据
+ * year 为出生年份，不传则使用服务端默认年份
  */
-async function loadData() {
+async function loadData(year) {
+    const url = year ? `fetch_data.php?year=${year}` : 'fetch_data.php';
+    let payload;
+    let offlineSource = null;
+
     try {
-        const response = await fetch('fetch_data.php');
-        const result = await response.json();
-        
-        if (!result.success) {
-            throw new Error(result.error || '数据加载失败');
-        }
-        
-        state.data = result;
-        
-        // 更新统计信息
-        updateStats();
-        
+        payload = await fetchPayload(url);
     } catch (error) {
-        throw new Error('无法连接到数据服务: ' + error.message);
+        // 数据服务不可用（离线或 PHP 未运行）时回退到缓存或内置数据
+        console.warn('数据服务不可用，尝试使用离线数据:', error);
+        try {
+            ({ payload, source: offlineSource } = await loadOfflineData(url, year));
+        } catch (fallbackError) {
+            throw new Error('无法连接到数据服务: ' + fallbackError.message);
+        }
+    }
+
+    const { data, report } = payload;
+    if (report.dropped.length) {
+        console.warn(`数据校验丢弃了 ${report.dropped.length} 条记录:`, report.dropped);
+    }
+
+    // 重新加载服务端数据会替换掉已导入的自定义数据集
+    state.baseData = null;
+    applyData(data, report, offlineSource);
+}
+
+/**
+ * 替换当前数据集：重建收入分布、运气值查询表与抽签数据，并刷新开始界面
+ */
+function applyData(data, report, offlineSource) {
+    state.data = data;
+    state.dataReport = report;
+    state.incomeDistribution = buildIncomeDistribution(data.countries.filter(isDrawableCountry));
+    state.luckTable = buildLuckTable(data.countries.filter(isDrawableCountry));
+    if (!isWeightModeAvailable(data.countries, state.weightMode)) {
+        state.weightMode = DEFAULT_WEIGHT_MODE;
+    }
+    rebuildLottery();
+    state.dailyLottery = buildLottery(data, DEFAULT_WEIGHT_MODE);
+    state.offlineSource = offlineSource;
+    
+    // 更新统计信息
+    updateStats();
+    updateDebugBadge();
+    updateOfflineBanner();
+    updateDatasetBanner();
+}
+
+/**
+ * 请求数据并校验、规范化，无效记录会被丢弃并记录在校验报告中
+ */
+async function fetchPayload(url) {
+    const response = await fetch(url);
+    return validatePayload(await response.json());
+}
+
+/**
+ * 离线回退：依次尝试该请求最近一次有效数据的缓存与内置的 data_cache.json
+ * 指定出生年份时只接受该年份的数据，避免用其他年份的数据冒充
+ */
+async function loadOfflineData(url, year) {
+    if ('caches' in window) {
+        const cached = await caches.open(DATA_CACHE)
+            .then(cache => cache.match(url))
+            .catch(() => null);
+        if (cached) {
+            return { payload: validatePayload(await cached.json()), source: 'cache' };
+        }
+    }
+
+    const payload = await fetchPayload(BUNDLED_DATA_URL);
+    if (year && payload.data.dataYear.birthRate !== year) {
+        throw new Error(`没有 ${year} 年的离线数据`);
     }
+    return { payload, source: 'bundled' };
+}
+
+/**
+ * 注册 Service Worker（不支持或注册失败时不影响正常使用）
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service Worker 注册失败:', error);
+    });
+}
+
+/**
+ * 离线时显示数据来源与数据版本的时间
+ */
+function updateOfflineBanner() {
+    if (!state.offlineSource) {
+        elements.offlineBanner.style.display = 'none';
+        return;
+    }
+
+    const savedAt = new Date(state.data.timestamp * 1000);
+    const sourceLabel = state.offlineSource === 'cache' ? '上次缓存的' : '内置的';
+    elements.offlineBanner.textContent = `📴 暂时无法连接数据服务，正在使用${sourceLabel}离线数据` +
+        `（数据版本 ${savedAt.toLocaleString()}，${formatDataAge(state.data.timestamp)}）`;
+    elements.offlineBanner.style.display = '';
+}
+
+/**
+ * 格式化数据版本距今的时间，如 “3 天前”
+ */
+function formatDataAge(timestamp) {
+    const seconds = Math.max(Date.now() / 1000 - timestamp, 0);
+    if (seconds < 3600) return `${Math.max(Math.floor(seconds / 60), 1)} 分钟前`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)} 小时前`;
+    return `${Math.floor(seconds / 86400)} 天前`;
+}
+
+/**
+ * 按当前权重模式与属地归并设置重建抽签数据与抽样器
+ */
+function rebuildLottery() {
+    const source = state.groupTerritories ? groupTerritories(state.data) : state.data;
+    const { data, sampler } = buildLottery(source, state.weightMode, state.pool);
+    state.lottery = data;
+    state.sampler = sampler;
 }
 
 /**
@@ -119,8 +491,268 @@ function updateStats() {
     elements.totalCountries.textContent = formatNumber(state.data.totalCountries);
     elements.totalBirths.textContent = formatNumber(state.data.totalBirths);
 
-    // 初始化地图
-    initializeMaps();
+    // 数据年份
+    elements.dataYearBirth.textContent = state.data.dataYear.birthRate;
+    elements.dataYearGdp.textContent = state.data.dataYear.gdp;
+    updateFooterNote();
+    populateYearSelect();
+    updateWeightModeControls();
+    updateTerritoryControls();
+    renderPoolControls();
+}
+
+/**
+ * 渲染抽签池筛选项（地区、收入水平）
+ */
+function renderPoolControls() {
+    const collectValues = (field) => [...new Set(
+        state.lottery.countries.map(c => (c[field] || '').trim()).filter(Boolean)
+    )].sort();
+
+    const renderChips = (container, values, selected) => {
+        container.innerHTML = '';
+        values.forEach(value => {
+            const chip = document.createElement('button');
+            chip.className = 'pool-chip';
+            chip.textContent = value;
+            chip.classList.toggle('active', selected.has(value));
+            chip.addEventListener('click', () => {
+                if (state.isDrawing || state.isTenDrawing) return;
+                if (selected.has(value)) {
+                    selected.delete(value);
+                } else {
+                    selected.add(value);
+                }
+                chip.classList.toggle('active', selected.has(value));
+                updatePool();
+            });
+            container.appendChild(chip);
+        });
+    };
+
+    renderChips(elements.poolRegions, collectValues('region'), state.pool.regions);
+    renderChips(elements.poolIncomeLevels, collectValues('incomeLevel'), state.pool.incomeLevels);
+    updatePoolSummary();
+}
+
+/**
+ * 更新抽签池摘要
+ */
+function updatePoolSummary() {
+    const { poolSize, countries } = state.lottery;
+    const poolBirths = countries.filter(c => c.inPool).reduce((sum, c) => sum + c.births, 0);
+    const totalBirths = countries.reduce((sum, c) => sum + c.births, 0);
+
+    if (poolSize === 0) {
+        elements.poolSummary.textContent = '⚠️ 抽签池为空，请调整筛选条件';
+    } else if (!isPoolActive(state.pool)) {
+        elements.poolSummary.textContent = `全部 ${poolSize} 个国家/地区参与抽签`;
+    } else {
+        const share = totalBirths > 0 ? (poolBirths / totalBirths) * 100 : 0;
+        elements.poolSummary.textContent = `抽签池：${poolSize} 个国家/地区，覆盖全球 ${share.toFixed(1)}% 的新生儿，概率已在池内重新归一化`;
+    }
+    elements.poolResetBtn.disabled = !isPoolActive(state.pool);
+}
+
+/**
+ * 抽签池条件变化后重建抽签数据并刷新地图
+ */
+function updatePool() {
+    rebuildLottery();
+    updatePoolSummary();
+
+    if (state.maps.start) {
+        state.maps.start.bindData(state.lottery);
+    }
+}
+
+/**
+ * 在地图上点选国家，加入或移出抽签池
+ */
+function toggleCountryInPool(mapCountry) {
+    if (state.isDrawing || state.isTenDrawing) return;
+
+    const country = findLotteryCountry(mapCountry.iso2);
+    if (!country) {
+        showToast(`${mapCountry.name} 暂无数据，无法加入抽签池`);
+        return;
+    }
+
+    if (state.pool.toggled.has(country.iso2)) {
+        state.pool.toggled.delete(country.iso2);
+    } else {
+        state.pool.toggled.add(country.iso2);
+    }
+    updatePool();
+
+    const updated = state.lottery.countries.find(c => c.iso2 === country.iso2);
+    showToast(updated.inPool ? `已将 ${country.name} 加入抽签池` : `已将 ${country.name} 移出抽签池`);
+}
+
+/**
+ * 按 ISO2 查找抽签条目，属地并入主权国家时返回所属国家的条目
+ */
+function findLotteryCountry(iso2) {
+    return state.lottery.countries.find(c =>
+        c.iso2 === iso2 || (c.territories || []).some(t => t.iso2 === iso2));
+}
+
+/**
+ * 重置抽签池
+ */
+function resetPool() {
+    if (state.isDrawing || state.isTenDrawing) return;
+
+    state.pool = createPool();
+    rebuildLottery();
+    renderPoolControls();
+
+    if (state.maps.start) {
+        state.maps.start.bindData(state.lottery);
+    }
+}
+
+/**
+ * 更新权重模式按钮状态
+ */
+function updateWeightModeControls() {
+    elements.weightModeBtns.forEach(btn => {
+        const mode = btn.getAttribute('data-mode');
+        btn.classList.toggle('active', mode === state.weightMode);
+        btn.disabled = !isWeightModeAvailable(state.data.countries, mode);
+        btn.title = btn.disabled ? '当前数据缺少该模式所需的指标' : WEIGHT_MODES[mode].description;
+    });
+    elements.weightModeDescription.textContent = WEIGHT_MODES[state.weightMode].description;
+}
+
+/**
+ * 切换权重模式
+ */
+function changeWeightMode(mode) {
+    if (state.isDrawing || state.isTenDrawing || mode === state.weightMode) return;
+    if (!isWeightModeAvailable(state.data.countries, mode)) return;
+
+    state.weightMode = mode;
+    rebuildLottery();
+    updateWeightModeControls();
+    updatePoolSummary();
+
+    // 重新着色开始界面地图
+    if (state.maps.start) {
+        state.maps.start.bindData(state.lottery);
+    }
+}
+
+/**
+ * 更新属地归并开关与说明
+ */
+function updateTerritoryControls() {
+    const territories = findTerritories(state.data.countries.filter(isDrawableCountry));
+    const names = territories.slice(0, 4).map(({ territory }) => territory.name).join('、');
+
+    elements.territoryToggle.checked = state.groupTerritories;
+    elements.territoryToggle.disabled = territories.length === 0;
+    if (territories.length === 0) {
+        elements.territoryDescription.textContent = '当前数据中没有可归并的属地';
+    } else if (state.groupTerritories) {
+        elements.territoryDescription.textContent =
+            `${territories.length} 个属地已并入所属国家：出生人数相加，人均GDP按出生人数加权平均`;
+    } else {
+        elements.territoryDescription.textContent =
+            `${names} 等 ${territories.length} 个属地作为独立结果参与抽签`;
+    }
+}
+
+/**
+ * 切换属地归并
+ */
+function changeTerritoryGrouping() {
+    if (state.isDrawing || state.isTenDrawing) {
+        elements.territoryToggle.checked = state.groupTerritories;
+        return;
+    }
+
+    state.groupTerritories = elements.territoryToggle.checked;
+    if (state.groupTerritories) {
+        // 在地图上点选过的属地改为点选所属国家，否则它不再对应任何抽签条目，抽签池却仍显示为有限制
+        findTerritories(state.data.countries.filter(isDrawableCountry))
+            .filter(({ territory }) => state.pool.toggled.has(territory.iso2))
+            .forEach(({ territory, sovereign }) => {
+                state.pool.toggled.delete(territory.iso2);
+                state.pool.toggled.add(sovereign.iso2);
+            });
+    }
+    rebuildLottery();
+    updateTerritoryControls();
+    renderPoolControls();
+
+    // 重新着色开始界面地图（属地与所属国家同色）
+    if (state.maps.start) {
+        state.maps.start.bindData(state.lottery);
+    }
+}
+
+/**
+ * 获取结果概率的显示名称，例如“出生概率”或“抽中概率（按当前人口 · 池内）”
+ */
+function getProbabilityLabel(result) {
+    const config = WEIGHT_MODES[result.weightMode] || WEIGHT_MODES[DEFAULT_WEIGHT_MODE];
+    const notes = [];
+    if (result.weightMode !== DEFAULT_WEIGHT_MODE) notes.push(config.label);
+    if (result.territoriesGrouped) notes.push('属地并入');
+    if (result.poolActive) notes.push('池内');
+    return notes.length ? `${config.probabilityLabel}（${notes.join(' · ')}）` : config.probabilityLabel;
+}
+
+/**
+ * 填充出生年份选择框
+ */
+function populateYearSelect() {
+    const select = elements.yearSelect;
+    if (select.options.length === 0) {
+        for (let year = MAX_BIRTH_YEAR; year >= MIN_BIRTH_YEAR; year--) {
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = `${year} 年`;
+            select.appendChild(option);
+        }
+    }
+    select.value = getBirthYear();
+}
+
+/**
+ * 获取当前数据集的出生年份
+ */
+function getBirthYear() {
+    return state.data.dataYear.birthRate;
+}
+
+/**
+ * 切换出生年份，重新加载该年份的数据
+ */
+async function changeBirthYear() {
+    const year = parseInt(elements.yearSelect.value, 10);
+    if (state.isDrawing || state.isTenDrawing || year === getBirthYear()) return;
+
+    const previousYear = getBirthYear();
+    elements.yearSelect.disabled = true;
+
+    try {
+        await loadData(year);
+
+        // 重新绑定开始界面地图
+        if (state.maps.start) {
+            state.maps.start.bindData(state.lottery);
+        }
+
+        showToast(`已切换到 ${year} 年的数据`);
+    } catch (error) {
+        console.error('年份数据加载失败:', error);
+        elements.yearSelect.value = previousYear;
+        showToast(`${year} 年数据加载失败`);
+    } finally {
+        elements.yearSelect.disabled = false;
+    }
 }
 
 /**
@@ -132,14 +764,18 @@ async function initializeMaps() {
         state.maps.start = new WorldMapController('world-map', {
             interactive: true,
             showTooltip: true,
-            colorScheme: 'probability'
+            colorScheme: 'probability',
+            onCountryClick: toggleCountryInPool
         });
 
         // 等待地图加载完成
         await new Promise(resolve => setTimeout(resolve, 500));
 
         // 绑定数据
-        state.maps.start.bindData(state.data);
+        state.maps.start.bindData(state.lottery);
+
+        // 标出图鉴中已收集的国家（“已收集”配色方案下显示）
+        refreshCollectedCountries();
 
         // 绑定地图控制按钮
         bindMapControls();
@@ -176,11 +812,58 @@ function bindMapControls() {
 function bindEvents() {
     elements.startBtn.addEventListener('click', startDrawing);
     elements.tenDrawBtn.addEventListener('click', startTenDraw);
+    elements.dailyBtn.addEventListener('click', startDailyDraw);
     elements.retryBtn.addEventListener('click', retry);
     elements.shareBtn.addEventListener('click', share);
     elements.tenDrawRetryBtn.addEventListener('click', retryTenDraw);
     elements.tenDrawShareBtn.addEventListener('click', shareTenDraw);
     elements.backToStartBtn.addEventListener('click', backToStart);
+    elements.yearSelect.addEventListener('change', changeBirthYear);
+    elements.poolResetBtn.addEventListener('click', resetPool);
+    elements.lineageBtn.addEventListener('click', openLineage);
+    elements.lineageRerunBtn.addEventListener('click', rerunLineage);
+    elements.lineageBackBtn.addEventListener('click', closeLineage);
+    elements.lineageGenerations.addEventListener('change', renderLineage);
+    elements.bulkBtn.addEventListener('click', openBulkDraw);
+    elements.collectionBtn.addEventListener('click', openCollection);
+    elements.achievementsBtn.addEventListener('click', openAchievements);
+    elements.partyBtn.addEventListener('click', openPartySetup);
+    elements.partyAddBtn.addEventListener('click', addPartyPlayer);
+    elements.partyNameInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') addPartyPlayer();
+    });
+    elements.partyStartBtn.addEventListener('click', startParty);
+    elements.partyCancelBtn.addEventListener('click', closePartySetup);
+    elements.partyScoreboardBtn.addEventListener('click', () => openPodium(elements.startScreen));
+    elements.partyEndBtn.addEventListener('click', endParty);
+    elements.partyNextBtn.addEventListener('click', partyNext);
+    elements.partySortSelect.addEventListener('change', renderPodium);
+    elements.podiumShareBtn.addEventListener('click', shareParty);
+    elements.podiumRestartBtn.addEventListener('click', restartPartyRound);
+    elements.podiumBackBtn.addEventListener('click', closePodium);
+    elements.podiumFinishBtn.addEventListener('click', finishParty);
+    elements.achievementsBackBtn.addEventListener('click', closeAchievements);
+    elements.homeCountrySelect.addEventListener('change', changeHomeCountry);
+    elements.collectionBackBtn.addEventListener('click', closeCollection);
+    elements.collectionClearBtn.addEventListener('click', resetCollection);
+    elements.bulkStartBtn.addEventListener('click', runBulkDraw);
+    elements.bulkBackBtn.addEventListener('click', closeBulkDraw);
+    elements.auditBtn.addEventListener('click', openAudit);
+    elements.auditStartBtn.addEventListener('click', startAudit);
+    elements.auditCancelBtn.addEventListener('click', cancelAudit);
+    elements.auditBackBtn.addEventListener('click', closeAudit);
+    elements.provenanceBtn.addEventListener('click', openProvenance);
+    elements.provenanceBackBtn.addEventListener('click', closeProvenance);
+    elements.debugBtn.addEventListener('click', openDebugPanel);
+    elements.debugBackBtn.addEventListener('click', closeDebugPanel);
+    elements.importBtn.addEventListener('click', openImportModal);
+    elements.closeImportModal.addEventListener('click', closeImportModal);
+    elements.importConfirmBtn.addEventListener('click', importDataset);
+    elements.datasetResetBtn.addEventListener('click', restoreDefaultDataset);
+    elements.weightModeBtns.forEach(btn => {
+        btn.addEventListener('click', () => changeWeightMode(btn.getAttribute('data-mode')));
+    });
+    elements.territoryToggle.addEventListener('change', changeTerritoryGrouping);
     elements.closeShareModal.addEventListener('click', closeShareModal);
     elements.saveImageBtn.addEventListener('click', saveImage);
     elements.copyTextBtn.addEventListener('click', copyText);
@@ -191,6 +874,11 @@ function bindEvents() {
             closeShareModal();
         }
     });
+    elements.importModal.addEventListener('click', (e) => {
+        if (e.target === elements.importModal || e.target.classList.contains('modal-overlay')) {
+            closeImportModal();
+        }
+    });
 
     // 初始化开始按钮特效
     initStartButtonAnimation();
@@ -303,6 +991,10 @@ function initStartButtonAnimation() {
  */
 function startDrawing() {
     if (state.isDrawing) return;
+    if (!state.dailyKey && !state.sampler) {
+        showToast('抽签池为空，请调整筛选条件');
+        return;
+    }
     state.isDrawing = true;
     
     // 切换到抽签界面
@@ -335,13 +1027,51 @@ function switchScreen(fromScreen, toScreen) {
     });
 }
 
+/**
+ * 创建抽签会话
+ * 使用输入的种子（留空则自动生成）与数据时间戳共同播种，保证结果可复现
+ */
+function createDrawSession(dailyKey = null) {
+    const seed = dailyKey ? getDailySeed(dailyKey) : normalizeSeed(elements.seedInput.value) || generateSeed();
+    state.session = {
+        seed,
+        timestamp: state.data.timestamp,
+        random: createRandom(seed, state.data.timestamp)
+    };
+    return state.session;
+}
+
 /**
  * 执行抽签动画
  */
 async function performDrawing() {
-    // 抽签完成，计算结果
-    const result = drawCountry();
+    // 抽签完成，计算结果（每日挑战使用日期种子与固定的抽签数据）
+    const dailyKey = state.dailyKey;
+    state.dailyKey = null;
+    const session = createDrawSession(dailyKey);
+    const lottery = dailyKey ? state.dailyLottery.data : state.lottery;
+    const result = {
+        ...drawCountry(session.random, dailyKey ? state.dailyLottery.sampler : state.sampler),
+        seed: session.seed,
+        year: getBirthYear(),
+        poolActive: lottery.poolActive,
+        territoriesGrouped: Boolean(lottery.territoriesGrouped),
+        daily: dailyKey
+    };
+    result.rarity = getRarityTier(result.probability).id;
+    result.luckScore = getLuckScore(state.luckTable, result.gdpPerCapita);
+    // 第二阶段：按该国出生性别比抽取性别（独立的子随机流，不影响国家抽取序列）
+    result.sex = drawSex(result, createRandom(session.seed, session.timestamp, 'sex'));
+    result.birthplace = drawBirthplace(result, createRandom(session.seed, session.timestamp, 'birthplace'));
+    // 第三阶段：在该国收入分布中抽取家庭所在的十分位
+    Object.assign(result, drawIncomePosition(result, createRandom(session.seed, session.timestamp, 'income')));
     state.currentResult = result;
+    recordDraw(dailyKey ? 'daily' : 'single', [result]);
+
+    // 派对模式：记录当前玩家的结果
+    if (state.party) {
+        result.player = recordPartyResult(state.party, result)?.name || null;
+    }
 
     // 初始化抽签地图
     state.maps.drawing = new WorldMapController('drawing-map', {
@@ -353,7 +1083,7 @@ async function performDrawing() {
     await new Promise(resolve => setTimeout(resolve, 500));
 
     // 绑定数据
-    state.maps.drawing.bindData(state.data);
+    state.maps.drawing.bindData(lottery);
 
     // 显示国家名称
     const countryNameEl = document.getElementById('drawing-country-name');
@@ -383,32 +1113,25 @@ async function performDrawing() {
 
 /**
  * 抽取国家（加权随机）
+ * random 为随机数源，取值范围 [0, 1)，与 Math.random 用法一致
+ * 按当前权重模式加权，由构建抽签数据时生成的别名表完成 O(1) 抽取
  */
-function drawCountry() {
-    // 只从真实国家中抽取(排除聚合数据)
-    const realCountries = state.data.countries.filter(c =>
-        c.region !== 'Aggregates' &&
-        c.iso2 &&
-        c.iso2.length === 2 &&
-        c.iso2.match(/^[A-Z]{2}$/)
-    );
-
-    // 计算真实国家的总出生人数
-    const totalWeight = realCountries.reduce((sum, c) => sum + c.births, 0);
-
-    // 生成随机数
-    let random = Math.random() * totalWeight;
-
-    // 加权选择
-    for (let country of realCountries) {
-        random -= country.births;
-        if (random <= 0) {
-            return country;
-        }
-    }
+function drawCountry(random, sampler = state.sampler) {
+    return sampler.draw(random);
+}
 
-    // 兜底返回第一个真实国家
-    return realCountries[0];
+/**
+ * 抽取收入十分位，并估算该十分位的人均收入与全球收入百分位
+ * 人均GDP缺失时收入与百分位为 null
+ */
+function drawIncomePosition(country, random) {
+    const incomeDecile = drawIncomeDecile(random);
+    const decileIncome = getDecileIncome(state.incomeDistribution, country, incomeDecile);
+    return {
+        incomeDecile,
+        decileIncome,
+        globalPercentile: getGlobalPercentile(state.incomeDistribution, decileIncome)
+    };
 }
 
 /**
@@ -421,6 +1144,9 @@ async function showResult(country) {
     // 填充数据
     populateResult(country);
 
+    // 提示新解锁的成就
+    announceAchievements();
+
     // 初始化结果地图
     await initResultMap(country);
 
@@ -440,7 +1166,7 @@ async function initResultMap(country) {
 
         await new Promise(resolve => setTimeout(resolve, 500));
 
-        state.maps.result.bindData(state.data);
+        state.maps.result.bindData(getResultLottery(country));
 
         // 聚焦到结果国家
         const iso = country.iso2 || country.iso || country.code;
@@ -450,11 +1176,38 @@ async function initResultMap(country) {
                 zoom: 3
             });
         }
+
+        // 标出出生地：城市标在首都，乡村使用通用的乡村标记
+        showBirthplaceMarker(state.maps.result, country);
     } catch (error) {
         console.error('结果地图初始化失败:', error);
     }
 }
 
+/**
+ * 在地图上标出出生地
+ * 城市出生标在首都坐标（缺失时退回国家中心），乡村出生在国家中心放置通用乡村标记
+ */
+function showBirthplaceMarker(map, country) {
+    const capitalLonLat = [country.longitude, country.latitude];
+    const hasCapital = capitalLonLat.every(Number.isFinite);
+
+    if (country.birthplace === 'urban') {
+        map.addMarker(hasCapital ? capitalLonLat : map.getCountryLonLat(country.iso2), {
+            icon: '🏙️',
+            label: hasCapital && country.capital ? country.capital : '城市',
+            delay: 1500
+        });
+    } else {
+        map.addMarker(map.getCountryLonLat(country.iso2), {
+            icon: '🌾',
+            label: '乡村',
+            color: '#6ab04c',
+            delay: 1500
+        });
+    }
+}
+
 /**
  * 填充结果数据
  */
@@ -465,35 +1218,70 @@ function populateResult(country) {
     
     // 国家名称
     document.getElementById('country-name').textContent = country.name;
+
+    // 稀有度
+    renderRarityBadge(elements.resultRarity, country.rarity);
+
+    // 派对模式
+    elements.resultPlayer.textContent = country.player ? `🎉 ${country.player} 的投胎结果` : '';
+    updatePartyResultFooter();
+
+    // 每日挑战
+    elements.resultDaily.textContent = country.daily ? `📅 今日投胎 · ${country.daily}` : '';
+
+    // 属地归并
+    elements.resultTerritories.textContent = country.territories
+        ? `🏝️ 含属地：${country.territories.map(t => t.name).join('、')}`
+        : '';
+
+    // 出生年份与种子
+    elements.resultBirthYear.textContent = `出生于 ${country.year} 年 · ${formatSex(country.sex)}`;
+    elements.resultSeed.textContent = formatSeedLabel(country.seed);
+    elements.sexRatioNote.textContent = `⚧ ${describeSexRatio(country)}`;
     
     // 基础信息
     document.getElementById('country-region').textContent = country.region || '未知';
     document.getElementById('country-capital').textContent = country.capital || '未知';
     document.getElementById('country-income').textContent = country.incomeLevel || '未知';
-    document.getElementById('country-population').textContent = formatNumber(country.population);
+    document.getElementById('country-population').textContent = country.population > 0 ? formatNumber(country.population) : '暂无数据';
+    const urbanShare = getUrbanShare(country);
+    elements.countryBirthplace.textContent = formatBirthplace(country.birthplace);
+    elements.countryUrbanShare.textContent = urbanShare === null ? '暂无数据' : `${urbanShare.toFixed(1)}%`;
     
-    // 开局属性
-    const maxGDP = 120000; // 参考最高GDP
-    const maxProbability = Math.max(...state.data.countries.map(c => c.probability));
-    const maxBirthRate = Math.max(...state.data.countries.map(c => c.birthRate));
+    // 开局属性（经济指数条按运气值，即出生人数加权的人均GDP百分位显示）
+    const lottery = getResultLottery(country);
+    const maxProbability = Math.max(...lottery.countries.map(c => c.probability));
+    const maxBirthRate = Math.max(...lottery.countries.map(c => c.birthRate || 0));
     
-    const gdpPercent = Math.min((country.gdpPerCapita / maxGDP) * 100, 100);
+    const gdpPercent = country.luckScore ?? 0;
     const probPercent = (country.probability / maxProbability) * 100;
-    const birthRatePercent = (country.birthRate / maxBirthRate) * 100;
+    const birthRatePercent = maxBirthRate > 0 ? ((country.birthRate || 0) / maxBirthRate) * 100 : 0;
     
-    document.getElementById('gdp-value').textContent = `$${formatNumber(country.gdpPerCapita)}`;
+    const gdpValue = document.getElementById('gdp-value');
+    gdpValue.textContent = formatGdp(country.gdpPerCapita);
+    gdpValue.classList.toggle('no-data', !(country.gdpPerCapita > 0));
+    elements.luckBasis.textContent = country.luckScore === null
+        ? '🍀 运气值：暂无数据'
+        : `🍀 运气值 ${formatLuckScore(country.luckScore)}：今年 ${country.luckScore.toFixed(1)}% 的新生儿出生在人均GDP更低的国家`;
+    const percentilePercent = renderIncomePercentile(country);
+    elements.probabilityLabel.textContent = `🎲 ${getProbabilityLabel(country)}`;
     document.getElementById('probability-value').textContent = `${country.probability.toFixed(4)}%`;
-    document.getElementById('birthrate-value').textContent = `${country.birthRate}‰`;
+    document.getElementById('birthrate-value').textContent = formatBirthRate(country.birthRate);
     
+    // 人生轨迹
+    const lifeOutcomes = renderLifeOutcomes(country);
+
     // 属性条动画
     setTimeout(() => {
         animateStatBar('gdp-bar', gdpPercent);
+        animateStatBar('percentile-bar', percentilePercent);
         animateStatBar('probability-bar', probPercent);
         animateStatBar('birthrate-bar', birthRatePercent);
+        lifeOutcomes.forEach(outcome => animateStatBar(`life-${outcome.id}-bar`, outcome.percent));
     }, 300);
     
     // 生成评价
-    const comment = generateComment(country);
+    const comment = generateComment(country) + generateBirthplaceComment(country);
     document.getElementById('comment-text').textContent = comment;
 
     // 评价框动画
@@ -506,6 +1294,59 @@ function populateResult(country) {
     });
 }
 
+/**
+ * 渲染全球收入百分位（结果页的运气指数），返回属性条长度
+ */
+function renderIncomePercentile(country) {
+    if (country.globalPercentile === null || country.globalPercentile === undefined) {
+        elements.percentileValue.textContent = '暂无数据';
+        elements.percentileBasis.textContent = `你出生在该国收入${formatDecile(country.incomeDecile)}的家庭`;
+        return 0;
+    }
+
+    elements.percentileValue.textContent = formatPercentile(country.globalPercentile);
+    elements.percentileBasis.textContent =
+        `你出生在该国收入${formatDecile(country.incomeDecile)}的家庭，人均收入约 $${formatNumber(Math.round(country.decileIncome))}`;
+    return country.globalPercentile;
+}
+
+/**
+ * 全球收入百分位的显示文字
+ */
+function formatPercentile(percentile) {
+    return `超过全球 ${percentile.toFixed(1)}% 的人`;
+}
+
+/**
+ * 渲染人生轨迹属性条，返回模拟结果供动画使用
+ * 随机数源由结果种子派生，同一种子的人生轨迹可复现
+ */
+function renderLifeOutcomes(country) {
+    if (!hasLifeData(country)) {
+        elements.lifeSection.style.display = 'none';
+        return [];
+    }
+
+    const random = createRandom(country.seed, state.data.timestamp, 'life');
+    const outcomes = simulateLife(country, random);
+
+    elements.lifeSection.style.display = '';
+    elements.lifeBars.innerHTML = outcomes.map(outcome => `
+        <div class="stat-bar-item ${outcome.available ? '' : 'unavailable'}">
+            <div class="stat-bar-header">
+                <span class="stat-bar-label">${outcome.icon} ${outcome.label}</span>
+                <span class="stat-bar-value">${outcome.value}</span>
+            </div>
+            <div class="stat-bar-bg">
+                <div class="stat-bar-fill" id="life-${outcome.id}-bar" style="width: 0%"></div>
+            </div>
+            <div class="stat-bar-basis">${outcome.basis}</div>
+        </div>
+    `).join('');
+
+    return outcomes;
+}
+
 /**
  * 属性条动画
  */
@@ -523,12 +1364,15 @@ function animateStatBar(barId, percent) {
  */
 function generateComment(country) {
     const gdp = country.gdpPerCapita;
-    const prob = country.probability;
+    // 人口大国/小国的判断始终基于出生概率，与当前权重模式无关
+    const prob = country.birthProbability;
     
     let comment = '';
     
     // 根据GDP评价
-    if (gdp > 60000) {
+    if (gdp === null) {
+        comment = '🤷 这里暂无人均GDP数据，开局的经济条件是个谜。';
+    } else if (gdp > 60000) {
         comment = '🎉 恭喜！你投胎到了发达国家，开局经济条件优越！';
     } else if (gdp > 30000) {
         comment = '😊 不错！这是一个中等发达国家，生活质量较好。';
@@ -548,6 +1392,24 @@ function generateComment(country) {
     return comment;
 }
 
+/**
+ * 生成城乡出生地评价（只在结果页显示，分享图的评价保持在两行以内）
+ */
+function generateBirthplaceComment(country) {
+    const urbanShare = getUrbanShare(country);
+    if (country.birthplace === 'urban') {
+        return urbanShare !== null && urbanShare < 30
+            ? ' 在这个以农村人口为主的国家出生在城市，已经领先了一大步！'
+            : ' 你出生在城市，医院和学校都在家门口。';
+    }
+    if (country.birthplace === 'rural') {
+        return urbanShare !== null && urbanShare > 80
+            ? ' 在高度城市化的国家出生在乡村，你是少数派！'
+            : ' 你出生在乡村，田野和星空陪你长大。';
+    }
+    return '';
+}
+
 /**
  * 获取国旗emoji
  */
@@ -561,47 +1423,122 @@ function getFlagEmoji(iso2) {
 }
 
 /**
- * 格式化数字
+ * 获取稀有度配置
  */
-function formatNumber(num) {
-    return new Intl.NumberFormat('zh-CN').format(Math.round(num));
+function getTierConfig(tierId) {
+    return RARITY_TIERS.find(tier => tier.id === tierId);
 }
 
 /**
- * 重新抽签
+ * 渲染稀有度徽章
  */
-function retry() {
-    // 清理地图
-    if (state.maps.drawing) {
-        state.maps.drawing.destroy();
-        state.maps.drawing = null;
-    }
-    if (state.maps.result) {
-        state.maps.result.destroy();
-        state.maps.result = null;
-    }
+function renderRarityBadge(element, tierId) {
+    const tier = getTierConfig(tierId);
+    element.className = `rarity-badge rarity-${tier.id.toLowerCase()}`;
+    element.textContent = `${tier.icon} ${tier.id} · ${tier.name}`;
+}
 
-    // 重置开始地图视图
-    if (state.maps.start) {
-        state.maps.start.resetView();
-    }
+/**
+ * 在分享图片上绘制稀有度徽章（以 x 为中心）
+ */
+function drawRarityBadge(ctx, tierId, x, y, fontSize = 22) {
+    const tier = getTierConfig(tierId);
+    const text = `${tier.id} · ${tier.name}`;
 
-    // 隐藏国家名称
-    const countryNameEl = document.getElementById('drawing-country-name');
-    if (countryNameEl) {
-        countryNameEl.classList.remove('show');
-        countryNameEl.textContent = '';
-    }
+    ctx.save();
+    ctx.font = `bold ${fontSize}px "Microsoft YaHei", sans-serif`;
+    const badgeWidth = ctx.measureText(text).width + fontSize * 1.5;
+    const badgeHeight = fontSize * 1.6;
 
-    // 切换回开始界面
-    switchScreen(elements.resultScreen, elements.startScreen);
+    ctx.fillStyle = tier.color;
+    roundRect(ctx, x - badgeWidth / 2, y - badgeHeight / 2, badgeWidth, badgeHeight, badgeHeight / 2);
+    ctx.fill();
+
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x, y + 1);
+    ctx.restore();
 }
 
 /**
- * 分享结果
+ * 格式化种子说明（种子 + 数据版本），使用自定义数据集时标出数据集名称
  */
-async function share() {
-    if (!state.currentResult) return;
+function formatSeedLabel(seed) {
+    if (state.data.custom) {
+        return `种子 ${seed} · 自定义数据集「${state.data.custom.name}」`;
+    }
+    return `种子 ${seed} · 数据版本 ${state.data.timestamp}`;
+}
+
+/**
+ * 格式化数字
+ */
+function formatNumber(num) {
+    return new Intl.NumberFormat('zh-CN').format(Math.round(num));
+}
+
+/**
+ * 格式化人均GDP，缺失（null，或旧历史记录中的 0）时显示“暂无数据”
+ */
+function formatGdp(gdp) {
+    return gdp > 0 ? `$${formatNumber(gdp)}` : '暂无数据';
+}
+
+/**
+ * 格式化出生率（自定义数据集中的国家可能没有出生率）
+ */
+function formatBirthRate(birthRate) {
+    return birthRate > 0 ? `${birthRate}‰` : '暂无数据';
+}
+
+/**
+ * 重新抽签
+ */
+function retry() {
+    clearResultView();
+
+    // 切换回开始界面
+    switchScreen(elements.resultScreen, elements.startScreen);
+}
+
+/**
+ * 清理结果界面（地图与抽签动画文字），供离开结果界面时使用
+ */
+function clearResultView() {
+    // 清理地图
+    if (state.maps.drawing) {
+        state.maps.drawing.destroy();
+        state.maps.drawing = null;
+    }
+    if (state.maps.result) {
+        state.maps.result.destroy();
+        state.maps.result = null;
+    }
+
+    // 重置开始地图视图
+    if (state.maps.start) {
+        state.maps.start.resetView();
+    }
+
+    // 隐藏国家名称
+    const countryNameEl = document.getElementById('drawing-country-name');
+    if (countryNameEl) {
+        countryNameEl.classList.remove('show');
+        countryNameEl.textContent = '';
+    }
+
+    // 派对模式下更新轮到的玩家
+    updatePartyBanner();
+}
+
+/**
+ * 分享结果
+ */
+async function share() {
+    if (!state.currentResult) return;
+    state.shareMode = 'single';
+    renderShareBadges();
 
     // 显示分享弹窗
     elements.shareModal.classList.add('active');
@@ -646,10 +1583,11 @@ async function generateShareImage() {
     canvas.width = width;
     canvas.height = height;
 
-    // 绘制背景渐变
+    // 绘制背景渐变（今日投胎使用暖色背景，与自由抽签区分）
+    const daily = state.currentResult.daily;
     const gradient = ctx.createLinearGradient(0, 0, 0, height);
-    gradient.addColorStop(0, '#667eea');
-    gradient.addColorStop(1, '#764ba2');
+    gradient.addColorStop(0, daily ? '#f6a04d' : '#667eea');
+    gradient.addColorStop(1, daily ? '#e8505b' : '#764ba2');
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, width, height);
 
@@ -677,10 +1615,10 @@ async function generateShareImage() {
     ctx.shadowColor = 'transparent';
 
     // 绘制标题
-    ctx.fillStyle = '#ff6b9d';
+    ctx.fillStyle = daily ? '#e8505b' : '#ff6b9d';
     ctx.font = 'bold 48px "Microsoft YaHei", sans-serif';
     ctx.textAlign = 'center';
-    ctx.fillText('🎲 投胎模拟器', width / 2, 150);
+    ctx.fillText(daily ? `📅 今日投胎 ${daily}` : '🎲 投胎模拟器', width / 2, 150);
 
     // 绘制国旗
     const flagEmoji = getFlagEmoji(state.currentResult.iso2);
@@ -690,7 +1628,18 @@ async function generateShareImage() {
     // 绘制国家名称
     ctx.fillStyle = '#2d3436';
     ctx.font = 'bold 42px "Microsoft YaHei", sans-serif';
-    ctx.fillText(state.currentResult.name, width / 2, 360);
+    ctx.fillText(state.currentResult.name, width / 2, 345);
+
+    // 绘制出生年份
+    ctx.fillStyle = '#636e72';
+    ctx.font = '24px "Microsoft YaHei", sans-serif';
+    ctx.fillText(`出生于 ${state.currentResult.year} 年 · ${formatSex(state.currentResult.sex)}`, width / 2, 385);
+
+    // 绘制稀有度徽章（卡片右上角）
+    drawRarityBadge(ctx, state.currentResult.rarity, width - 130, 120, 20);
+
+    // 绘制佩戴的成就徽章（卡片左上角）
+    drawShareBadges(ctx);
 
     // 绘制分隔线
     ctx.strokeStyle = 'rgba(102, 126, 234, 0.3)';
@@ -702,9 +1651,20 @@ async function generateShareImage() {
 
     // 绘制属性信息
     const stats = [
-        { label: '人均GDP', value: `$${formatNumber(state.currentResult.gdpPerCapita)}`, icon: '💰' },
-        { label: '出生概率', value: `${state.currentResult.probability.toFixed(4)}%`, icon: '🎯' },
-        { label: '出生率', value: `${state.currentResult.birthRate}‰`, icon: '👶' },
+        {
+            label: '人均GDP',
+            value: formatGdp(state.currentResult.gdpPerCapita),
+            icon: '💰',
+            missing: !(state.currentResult.gdpPerCapita > 0)
+        },
+        {
+            label: '全球收入位置',
+            value: state.currentResult.globalPercentile === null ? '暂无数据' : formatPercentile(state.currentResult.globalPercentile),
+            icon: '🍀',
+            missing: state.currentResult.globalPercentile === null
+        },
+        { label: getProbabilityLabel(state.currentResult), value: `${state.currentResult.probability.toFixed(4)}%`, icon: '🎯' },
+        { label: '出生率', value: formatBirthRate(state.currentResult.birthRate), icon: '👶' },
         { label: '所属地区', value: state.currentResult.region || '未知', icon: '🌍' }
     ];
 
@@ -720,13 +1680,13 @@ async function generateShareImage() {
         ctx.textAlign = 'left';
         ctx.fillText(stat.label, 180, yPos);
 
-        // 数值
-        ctx.fillStyle = '#2d3436';
-        ctx.font = 'bold 28px "Microsoft YaHei", sans-serif';
+        // 数值（暂无数据时使用浅灰色，与真实数值区分）
+        ctx.fillStyle = stat.missing ? '#b2bec3' : '#2d3436';
+        ctx.font = stat.missing ? '28px "Microsoft YaHei", sans-serif' : 'bold 28px "Microsoft YaHei", sans-serif';
         ctx.textAlign = 'right';
         ctx.fillText(stat.value, width - 120, yPos);
 
-        yPos += 80;
+        yPos += 60;
     });
 
     // 绘制评价
@@ -735,29 +1695,43 @@ async function generateShareImage() {
     ctx.font = '22px "Microsoft YaHei", sans-serif';
     ctx.textAlign = 'center';
 
-    // 文字换行处理
+    // 文字换行处理（最多两行，超出部分以省略号结尾，避免压住底部的种子与卡片边缘）
     const maxWidth = width - 160;
+    const maxLines = 2;
     const words = comment.split('');
+    const lines = [];
     let line = '';
-    let lineY = yPos + 40;
 
     for (let i = 0; i < words.length; i++) {
         const testLine = line + words[i];
         const metrics = ctx.measureText(testLine);
 
         if (metrics.width > maxWidth && i > 0) {
-            ctx.fillText(line, width / 2, lineY);
+            lines.push(line);
             line = words[i];
-            lineY += 35;
         } else {
             line = testLine;
         }
     }
-    ctx.fillText(line, width / 2, lineY);
+    lines.push(line);
 
-    // 绘制底部信息
+    if (lines.length > maxLines) {
+        let last = lines[maxLines - 1];
+        while (last && ctx.measureText(last + '…').width > maxWidth) {
+            last = last.slice(0, -1);
+        }
+        lines.splice(maxLines - 1, lines.length, last + '…');
+    }
+    lines.forEach((text, index) => {
+        ctx.fillText(text, width / 2, yPos + 40 + index * 35);
+    });
+
+    // 绘制种子
     ctx.fillStyle = '#b2bec3';
     ctx.font = '18px "Microsoft YaHei", sans-serif';
+    ctx.fillText(formatSeedLabel(state.currentResult.seed), width / 2, height - 95);
+
+    // 绘制底部信息
     ctx.fillText('体验投胎模拟器', width / 2, height - 60);
 
     // 将 Canvas 转换为图片显示（移动端长按保存支持更好）
@@ -841,11 +1815,14 @@ function saveImage() {
             const a = document.createElement('a');
             a.href = url;
 
-            // 根据当前结果类型设置文件名
-            // 优先判断是否是十连抽结果
+            // 根据分享弹窗当前展示的内容设置文件名
             let fileName;
-            if (state.tenDrawResults && state.tenDrawResults.length > 0) {
+            if (state.shareMode === 'tenDraw') {
                 fileName = `投胎模拟器-十连抽-${Date.now()}.png`;
+            } else if (state.shareMode === 'party') {
+                fileName = `投胎模拟器-派对领奖台-${Date.now()}.png`;
+            } else if (state.currentResult?.daily) {
+                fileName = `投胎模拟器-今日投胎-${state.currentResult.daily}-${state.currentResult.name}.png`;
             } else if (state.currentResult) {
                 fileName = `投胎模拟器-${state.currentResult.name}-${Date.now()}.png`;
             } else {
@@ -868,20 +1845,16 @@ function saveImage() {
 }
 
 /**
- * 复制文字
+ * 复制文字（根据分享弹窗当前展示的内容，复制单抽或十连抽的文字）
  */
 function copyText() {
-    if (!state.currentResult) return;
-
-    const text = `我在投胎模拟器中抽到了 ${state.currentResult.name}！
-
-🏳️ 国家：${state.currentResult.name}
-💰 人均GDP：$${formatNumber(state.currentResult.gdpPerCapita)}
-🎯 出生概率：${state.currentResult.probability.toFixed(4)}%
-👶 出生率：${state.currentResult.birthRate}‰
-🌍 地区：${state.currentResult.region || '未知'}
-
-快来试试你的运气吧！`;
+    const getText = {
+        single: getSingleShareText,
+        tenDraw: getTenDrawShareText,
+        party: getPartyShareText
+    }[state.shareMode];
+    const text = getText();
+    if (!text) return;
 
     navigator.clipboard.writeText(text).then(() => {
         showToast('文字已复制到剪贴板！');
@@ -897,6 +1870,58 @@ function copyText() {
     });
 }
 
+/**
+ * 单抽的分享文字
+ */
+function getSingleShareText() {
+    if (!state.currentResult) return null;
+
+    const header = state.currentResult.daily
+        ? `📅 今日投胎挑战（${state.currentResult.daily}）：我抽到了 ${state.currentResult.name}！今天打开投胎模拟器的人都会抽到同一个结果。`
+        : `我在投胎模拟器中抽到了 ${state.currentResult.name}！`;
+
+    return `${header}
+
+🏳️ 国家：${state.currentResult.name}
+📅 出生年份：${state.currentResult.year} 年
+⚧ 性别：${formatSex(state.currentResult.sex)}（${describeSexRatio(state.currentResult)}）
+💰 人均GDP：${formatGdp(state.currentResult.gdpPerCapita)}
+🎯 ${getProbabilityLabel(state.currentResult)}：${state.currentResult.probability.toFixed(4)}%
+👶 出生率：${formatBirthRate(state.currentResult.birthRate)}
+🌍 地区：${state.currentResult.region || '未知'}
+🔑 ${formatSeedLabel(state.currentResult.seed)}
+
+快来试试你的运气吧！`;
+}
+
+/**
+ * 十连抽的分享文字（逐条结果 + 汇总）
+ */
+function getTenDrawShareText() {
+    const results = state.tenDrawResults;
+    if (!results || !results.length) return null;
+
+    const summary = summarizeDraws(results);
+    const tierSummary = countRarityTiers(results).map(tier => `${tier.id}×${tier.count}`).join(' ');
+    const lines = results.map(r =>
+        `${r.rank}. ${getFlagEmoji(r.iso2)} ${r.name} · ${formatSex(r.sex)} · ${r.rarity} · ${formatGdp(r.gdpPerCapita)}`);
+    const distribution = rows => rows.map(row => `${row.label} ${row.count}`).join('，');
+
+    return `我在投胎模拟器中完成了一次十连抽！
+
+📅 出生年份：${results[0].year} 年
+✨ 稀有度：${tierSummary}${results[0].pityEnabled ? '（已启用保底，不代表真实概率）' : ''}
+
+${lines.join('\n')}
+
+🌍 地区分布：${distribution(summary.regions.map(row => ({ label: row.region, count: row.count })))}
+💼 收入水平分布：${distribution(summary.incomeLevels.map(row => ({ label: row.incomeLevel, count: row.count })))}
+${getTenDrawHighlights(summary).map(item => `${item.label}：${item.value}`).join('\n')}
+🔑 ${formatSeedLabel(results[0].seed)}
+
+快来试试你的运气吧！`;
+}
+
 /**
  * 显示提示消息
  */
@@ -1023,6 +2048,10 @@ function animateCardEntrance(card) {
  */
 function startTenDraw() {
     if (state.isTenDrawing) return;
+    if (!state.sampler) {
+        showToast('抽签池为空，请调整筛选条件');
+        return;
+    }
     state.isTenDrawing = true;
 
     // 切换到抽签界面（复用抽签界面显示进度）
@@ -1036,17 +2065,35 @@ function startTenDraw() {
  * 执行十连抽
  */
 async function performTenDraw() {
-    // 执行10次抽签
+    // 执行10次抽签（共用同一个随机数源，整组结果可由种子复现）
+    const session = createDrawSession();
+    const pityEnabled = elements.pityToggle.checked;
     const results = [];
     for (let i = 0; i < 10; i++) {
-        const result = drawCountry();
+        // 保底：前9次没有出现 SR 及以上时，最后一次只在稀有国家中抽取
+        const needsPity = pityEnabled && i === 9 &&
+            !results.some(r => isTierAtLeast(r.rarity, PITY_MIN_TIER));
+        const guaranteed = needsPity ? drawGuaranteedRare(session.random) : null;
+        const result = guaranteed || drawCountry(session.random);
+
         results.push({
             ...result,
+            seed: session.seed,
+            year: getBirthYear(),
+            poolActive: state.lottery.poolActive,
+            territoriesGrouped: Boolean(state.lottery.territoriesGrouped),
+            rarity: getRarityTier(result.probability).id,
+            luckScore: getLuckScore(state.luckTable, result.gdpPerCapita),
+            sex: drawSex(result, createRandom(session.seed, session.timestamp, 'sex', i + 1)),
+            birthplace: drawBirthplace(result, createRandom(session.seed, session.timestamp, 'birthplace', i + 1)),
+            pity: Boolean(guaranteed),
+            pityEnabled,
             rank: i + 1
         });
     }
 
     state.tenDrawResults = results;
+    recordDraw('tenDraw', results);
 
     // 初始化抽签地图
     state.maps.drawing = new WorldMapController('drawing-map', {
@@ -1058,7 +2105,7 @@ async function performTenDraw() {
     await new Promise(resolve => setTimeout(resolve, 500));
 
     // 绑定数据
-    state.maps.drawing.bindData(state.data);
+    state.maps.drawing.bindData(state.lottery);
 
     // 显示提示文字
     const countryNameEl = document.getElementById('drawing-country-name');
@@ -1071,6 +2118,16 @@ async function performTenDraw() {
     }, 2000);
 }
 
+/**
+ * 保底抽取：只在达到保底稀有度的国家中按权重抽取
+ * 抽签池中没有符合条件的国家时返回 null
+ */
+function drawGuaranteedRare(random) {
+    const isRare = c => isTierAtLeast(getRarityTier(c.probability).id, PITY_MIN_TIER);
+    if (!state.sampler.items.some(isRare)) return null;
+    return state.sampler.subset(isRare).draw(random);
+}
+
 /**
  * 显示十连抽结果
  */
@@ -1080,6 +2137,8 @@ async function showTenDrawResults(results) {
 
     // 清空之前的结果
     elements.tenDrawResults.innerHTML = '';
+    renderTenDrawSummary(results);
+    elements.tenDrawSeed.textContent = `出生于 ${results[0].year} 年 · ${formatSeedLabel(results[0].seed)}`;
 
     // 初始化十连抽地图
     state.maps.tenDraw = new WorldMapController('ten-draw-map', {
@@ -1091,7 +2150,7 @@ async function showTenDrawResults(results) {
     await new Promise(resolve => setTimeout(resolve, 500));
 
     // 绑定数据
-    state.maps.tenDraw.bindData(state.data);
+    state.maps.tenDraw.bindData(state.lottery);
 
     // 在地图上标记所有结果
     results.forEach((result, index) => {
@@ -1110,18 +2169,138 @@ async function showTenDrawResults(results) {
             const card = createTenDrawResultCard(result, index);
             elements.tenDrawResults.appendChild(card);
 
-            // 添加入场动画
+            // 按稀有度播放入场动画
+            revealTenDrawCard(card, result.rarity);
+        }, index * 150);
+    });
+
+    // 提示新解锁的成就
+    announceAchievements();
+
+    // 重置状态
+    state.isTenDrawing = false;
+}
+
+/**
+ * 渲染十连抽汇总（各稀有度数量、城乡出生地数量）
+ */
+function renderTenDrawSummary(results) {
+    const tierCounts = countRarityTiers(results)
+        .map(tier => `<span class="rarity-count rarity-${tier.id.toLowerCase()}">${tier.icon} ${tier.id} × ${tier.count}</span>`)
+        .join('');
+    const birthplaceCounts = countBirthplaces(results)
+        .map(place => `<span class="rarity-count">${place.icon} ${place.label} × ${place.count}</span>`)
+        .join('');
+    const averageLuck = averageLuckScore(results);
+    const summary = summarizeDraws(results);
+
+    const pityNote = results[0].pityEnabled
+        ? `<p class="pity-note">⚠️ 本次十连启用了保底（至少一个 ${PITY_MIN_TIER} 或以上），结果不代表真实概率${results.some(r => r.pity) ? '，其中标记“保底”的结果由保底规则产生' : ''}</p>`
+        : '';
+
+    elements.tenDrawSummary.innerHTML = `
+        <div class="rarity-counts">${tierCounts}</div>
+        <div class="rarity-counts">
+            ${birthplaceCounts}
+            <span class="rarity-count luck-count">🍀 平均运气值 ${formatLuckScore(averageLuck)}</span>
+        </div>
+        <div class="ten-draw-breakdown">
+            ${renderBreakdownChart('🌍 地区分布', summary.regions.map(row => ({ label: row.region, count: row.count })), results.length)}
+            ${renderBreakdownChart('💼 收入水平分布', summary.incomeLevels.map(row => ({ label: row.incomeLevel, count: row.count })), results.length)}
+        </div>
+        <div class="breakdown-stats">
+            ${getTenDrawHighlights(summary).map(item => `
+                <div class="breakdown-stat">
+                    <span class="breakdown-stat-label">${item.label}</span>
+                    <span class="breakdown-stat-value">${item.value}</span>
+                </div>
+            `).join('')}
+        </div>
+        ${pityNote}
+    `;
+}
+
+/**
+ * 渲染分布条形图
+ */
+function renderBreakdownChart(title, rows, total) {
+    return `
+        <div class="breakdown-chart">
+            <h4 class="breakdown-title">${title}</h4>
+            ${rows.map(row => `
+                <div class="breakdown-row">
+                    <span class="breakdown-label" title="${row.label}">${row.label}</span>
+                    <div class="breakdown-bar">
+                        <div class="breakdown-bar-fill" style="width: ${(row.count / total) * 100}%"></div>
+                    </div>
+                    <span class="breakdown-count">${row.count}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * 十连抽要点：平均人均GDP、最好与最差的结果、重复抽中的国家
+ * 页面汇总、分享图片与分享文字共用
+ */
+function getTenDrawHighlights(summary) {
+    const describe = result => (result ? `${getFlagEmoji(result.iso2)} ${result.name}（${formatGdp(result.gdpPerCapita)}）` : '暂无数据');
+    return [
+        {
+            label: '💰 平均人均GDP',
+            value: formatGdp(summary.averageGdp)
+        },
+        { label: '🏆 最好的一抽', value: describe(summary.best) },
+        { label: '🥀 最差的一抽', value: describe(summary.worst) },
+        {
+            label: '🔁 重复抽中',
+            value: summary.duplicates.length
+                ? summary.duplicates.map(row => `${getFlagEmoji(row.country.iso2)} ${row.country.name} ×${row.count}`).join('、')
+                : '无'
+        }
+    ];
+}
+
+/**
+ * 十连抽卡片入场动画，稀有度越高动画越隆重
+ */
+function revealTenDrawCard(card, tierId) {
+    switch (tierId) {
+        case 'SSR':
+            animate(card, {
+                opacity: [0, 1],
+                scale: [0.3, 1.15, 1],
+                rotate: [-8, 4, 0],
+                duration: 1200,
+                ease: 'outElastic(1, .6)'
+            });
+            break;
+        case 'SR':
+            animate(card, {
+                opacity: [0, 1],
+                scale: [0.6, 1.05, 1],
+                duration: 900,
+                ease: 'out(3)'
+            });
+            break;
+        case 'R':
+            animate(card, {
+                opacity: [0, 1],
+                y: [40, 0],
+                scale: [0.9, 1],
+                duration: 600,
+                ease: 'out(3)'
+            });
+            break;
+        default:
             animate(card, {
                 opacity: [0, 1],
                 y: [30, 0],
                 duration: 500,
                 ease: 'out(3)'
             });
-        }, index * 150);
-    });
-
-    // 重置状态
-    state.isTenDrawing = false;
+    }
 }
 
 /**
@@ -1129,26 +2308,39 @@ async function showTenDrawResults(results) {
  */
 function createTenDrawResultCard(result, index) {
     const card = document.createElement('div');
-    card.className = 'ten-draw-result-card';
+    card.className = `ten-draw-result-card rarity-${result.rarity.toLowerCase()}`;
 
     const flagEmoji = getFlagEmoji(result.iso2);
+    const tier = getTierConfig(result.rarity);
 
     card.innerHTML = `
         <div class="ten-draw-result-rank">#${result.rank}</div>
+        <div class="ten-draw-result-rarity">
+            <span class="rarity-badge rarity-${tier.id.toLowerCase()}">${tier.icon} ${tier.id}</span>
+            ${result.pity ? '<span class="pity-tag">保底</span>' : ''}
+        </div>
         <div class="ten-draw-result-flag">${flagEmoji}</div>
         <div class="ten-draw-result-name">${result.name}</div>
+        <div class="ten-draw-result-sex" title="${describeSexRatio(result)}">${formatSex(result.sex)} · ${formatBirthplace(result.birthplace)}</div>
         <div class="ten-draw-result-stats">
             <div class="ten-draw-result-stat">
                 <span class="ten-draw-result-stat-label">💰 人均GDP</span>
-                <span class="ten-draw-result-stat-value">$${formatNumber(result.gdpPerCapita)}</span>
+                <span class="ten-draw-result-stat-value${result.gdpPerCapita > 0 ? '' : ' no-data'}">${formatGdp(result.gdpPerCapita)}</span>
+            </div>
+            <div class="ten-draw-luck-bar">
+                <div class="ten-draw-luck-fill" style="width: ${result.luckScore ?? 0}%"></div>
+            </div>
+            <div class="ten-draw-result-stat">
+                <span class="ten-draw-result-stat-label">🍀 运气值</span>
+                <span class="ten-draw-result-stat-value">${formatLuckScore(result.luckScore)}</span>
             </div>
             <div class="ten-draw-result-stat">
-                <span class="ten-draw-result-stat-label">🎯 出生概率</span>
+                <span class="ten-draw-result-stat-label">🎯 ${WEIGHT_MODES[result.weightMode].probabilityLabel}</span>
                 <span class="ten-draw-result-stat-value">${result.probability.toFixed(4)}%</span>
             </div>
             <div class="ten-draw-result-stat">
                 <span class="ten-draw-result-stat-label">👶 出生率</span>
-                <span class="ten-draw-result-stat-value">${result.birthRate}‰</span>
+                <span class="ten-draw-result-stat-value${result.birthRate > 0 ? '' : ' no-data'}">${formatBirthRate(result.birthRate)}</span>
             </div>
             <div class="ten-draw-result-stat">
                 <span class="ten-draw-result-stat-label">🌍 地区</span>
@@ -1241,6 +2433,8 @@ function backToStart() {
  */
 async function shareTenDraw() {
     if (!state.tenDrawResults) return;
+    state.shareMode = 'tenDraw';
+    renderShareBadges();
 
     // 显示分享弹窗
     elements.shareModal.classList.add('active');
@@ -1263,10 +2457,12 @@ async function shareTenDraw() {
 async function generateTenDrawShareImage() {
     const canvas = elements.shareCanvas;
     const ctx = canvas.getContext('2d');
+    const results = state.tenDrawResults;
 
-    // 设置画布尺寸（更大以容纳10个结果）
+    // 设置画布尺寸（更大以容纳10个结果和底部汇总）
     const width = 1200;
-    const height = 1600;
+    const height = 1900;
+    const summaryHeight = 360;
     canvas.width = width;
     canvas.height = height;
 
@@ -1309,22 +2505,27 @@ async function generateTenDrawShareImage() {
     // 绘制副标题
     ctx.fillStyle = '#636e72';
     ctx.font = '28px "Microsoft YaHei", sans-serif';
-    ctx.fillText('我的十连抽结果', width / 2, 190);
+    ctx.fillText(`我的十连抽结果 · 出生于 ${results[0].year} 年`, width / 2, 180);
+
+    // 绘制稀有度统计
+    const tierSummary = countRarityTiers(results).map(tier => `${tier.id}×${tier.count}`).join('  ');
+    ctx.font = '20px "Microsoft YaHei", sans-serif';
+    ctx.fillStyle = results[0].pityEnabled ? '#e17055' : '#636e72';
+    ctx.fillText(results[0].pityEnabled ? `${tierSummary}  ·  ⚠️ 已启用保底，不代表真实概率` : tierSummary, width / 2, 210);
 
     // 绘制分隔线
     ctx.strokeStyle = 'rgba(102, 126, 234, 0.3)';
     ctx.lineWidth = 2;
     ctx.beginPath();
-    ctx.moveTo(100, 220);
-    ctx.lineTo(width - 100, 220);
+    ctx.moveTo(100, 230);
+    ctx.lineTo(width - 100, 230);
     ctx.stroke();
 
     // 绘制10个结果（2列5行）
-    const results = state.tenDrawResults;
     const cols = 2;
     const rows = 5;
     const resultCardWidth = (width - cardPadding * 2 - 60) / cols;
-    const resultCardHeight = (height - 280 - cardPadding) / rows;
+    const resultCardHeight = (height - summaryHeight - 280 - cardPadding) / rows;
     const startX = cardPadding + 30;
     const startY = 250;
 
@@ -1345,11 +2546,23 @@ async function generateTenDrawShareImage() {
         ctx.textAlign = 'center';
         ctx.fillText(`${i + 1}`, x + 30, y + 37);
 
+        // 绘制稀有度徽章
+        drawRarityBadge(ctx, result.rarity, x + resultCardWidth - 70, y + 30, 16);
+        if (result.pity) {
+            ctx.fillStyle = '#e17055';
+            ctx.font = 'bold 14px "Microsoft YaHei", sans-serif';
+            ctx.fillText('保底', x + resultCardWidth - 70, y + 58);
+        }
+
         // 绘制国旗
         const flagEmoji = getFlagEmoji(result.iso2);
         ctx.font = '48px Arial';
         ctx.fillText(flagEmoji, x + resultCardWidth / 2, y + 80);
 
+        // 绘制性别
+        ctx.font = '28px Arial';
+        ctx.fillText(SEXES[result.sex].icon, x + resultCardWidth / 2 + 50, y + 75);
+
         // 绘制国家名称
         ctx.fillStyle = '#2d3436';
         ctx.font = 'bold 22px "Microsoft YaHei", sans-serif';
@@ -1374,9 +2587,9 @@ async function generateTenDrawShareImage() {
 
         // GDP
         ctx.fillText('💰', x + 20, dataY);
-        ctx.fillStyle = '#2d3436';
+        ctx.fillStyle = result.gdpPerCapita > 0 ? '#2d3436' : '#b2bec3';
         ctx.font = 'bold 15px "Microsoft YaHei", sans-serif';
-        const gdpText = `$${formatNumber(result.gdpPerCapita)}`;
+        const gdpText = formatGdp(result.gdpPerCapita);
         ctx.fillText(gdpText.length > 12 ? gdpText.substring(0, 12) : gdpText, x + 45, dataY);
 
         // 概率
@@ -1388,10 +2601,14 @@ async function generateTenDrawShareImage() {
         ctx.fillText(`${result.probability.toFixed(3)}%`, x + 45, dataY + lineHeight);
     }
 
-    // 绘制底部信息
+    // 绘制汇总
+    drawTenDrawSummary(ctx, results, startY + rows * resultCardHeight + 15, width);
+
+    // 绘制种子与底部信息
     ctx.fillStyle = '#b2bec3';
     ctx.font = '20px "Microsoft YaHei", sans-serif';
     ctx.textAlign = 'center';
+    ctx.fillText(formatSeedLabel(results[0].seed), width / 2, height - 85);
     ctx.fillText('体验投胎模拟器', width / 2, height - 50);
 
     // 将 Canvas 转换为图片显示（移动端长按保存支持更好）
@@ -1400,6 +2617,1547 @@ async function generateTenDrawShareImage() {
     console.log('十连抽分享图片生成完成');
 }
 
+/**
+ * 在十连抽分享图片中绘制汇总：地区与收入水平分布条形图、平均人均GDP、最好与最差的结果、重复抽中
+ */
+function drawTenDrawSummary(ctx, results, top, width) {
+    const summary = summarizeDraws(results);
+
+    // 分隔线
+    ctx.strokeStyle = 'rgba(102, 126, 234, 0.3)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(100, top);
+    ctx.lineTo(width - 100, top);
+    ctx.stroke();
+
+    const columnWidth = (width - 240) / 2;
+    drawSummaryBars(ctx, '🌍 地区分布', summary.regions.map(row => ({ label: row.region, count: row.count })),
+        results.length, 100, top + 35, columnWidth);
+    drawSummaryBars(ctx, '💼 收入水平分布', summary.incomeLevels.map(row => ({ label: row.incomeLevel, count: row.count })),
+        results.length, 140 + columnWidth, top + 35, columnWidth);
+
+    // 要点
+    const highlights = getTenDrawHighlights(summary);
+    ctx.font = '17px "Microsoft YaHei", sans-serif';
+    ctx.textAlign = 'left';
+    highlights.forEach((item, index) => {
+        const x = index % 2 === 0 ? 100 : 140 + columnWidth;
+        const y = top + 230 + Math.floor(index / 2) * 28;
+        ctx.fillStyle = '#636e72';
+        ctx.fillText(item.label, x, y);
+        ctx.fillStyle = '#2d3436';
+        let value = item.value;
+        const valueX = x + ctx.measureText(item.label).width + 10;
+        while (value.length > 1 && valueX + ctx.measureText(value).width > x + columnWidth) {
+            value = value.slice(0, -2) + '…';
+        }
+        ctx.fillText(value, valueX, y);
+    });
+}
+
+/**
+ * 在画布上绘制分布条形图
+ */
+function drawSummaryBars(ctx, title, rows, total, x, y, width) {
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#2d3436';
+    ctx.font = 'bold 20px "Microsoft YaHei", sans-serif';
+    ctx.fillText(title, x, y);
+
+    const labelWidth = width * 0.5;
+    const barWidth = width - labelWidth - 40;
+    rows.slice(0, 7).forEach((row, index) => {
+        const rowY = y + 30 + index * 24;
+
+        ctx.fillStyle = '#636e72';
+        ctx.font = '15px "Microsoft YaHei", sans-serif';
+        let label = row.label;
+        while (label.length > 1 && ctx.measureText(label).width > labelWidth - 10) {
+            label = label.slice(0, -2) + '…';
+        }
+        ctx.fillText(label, x, rowY);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.06)';
+        roundRect(ctx, x + labelWidth, rowY - 13, barWidth, 14, 7);
+        ctx.fill();
+        ctx.fillStyle = '#ff6b9d';
+        roundRect(ctx, x + labelWidth, rowY - 13, Math.max(barWidth * row.count / total, 14), 14, 7);
+        ctx.fill();
+
+        ctx.fillStyle = '#2d3436';
+        ctx.font = 'bold 15px "Microsoft YaHei", sans-serif';
+        ctx.fillText(`${row.count}`, x + labelWidth + barWidth + 10, rowY);
+    });
+}
+
+/**
+ * ==================== 抽签历史与图鉴 ====================
+ */
+
+/**
+ * 保存一次抽签到历史记录，刷新开始地图上的已收集国家，并检查新解锁的成就（在结果展示后提示）
+ * 使用自定义数据集时不保存
+ */
+function recordDraw(type, results) {
+    // 自定义数据集的结果不代表真实出生分布，不计入历史与成就
+    if (state.data.custom) return;
+
+    saveDraw(type, results, {
+        seed: results[0].seed,
+        dataTimestamp: state.data.timestamp,
+        dataYear: state.data.dataYear,
+        birthYear: results[0].year,
+        weightMode: type === 'daily' ? DEFAULT_WEIGHT_MODE : state.weightMode,
+        territoriesGrouped: type === 'daily' ? false : state.groupTerritories
+    });
+    refreshCollectedCountries();
+    state.pendingAchievements.push(...evaluateAchievements(loadHistory()));
+}
+
+/**
+ * 把图鉴中的国家同步到开始地图
+ */
+function refreshCollectedCountries() {
+    if (!state.maps.start) return;
+    state.maps.start.setCollectedCountries(new Set(buildCollection(loadHistory()).keys()));
+}
+
+/**
+ * 打开图鉴界面
+ */
+function openCollection() {
+    if (state.isDrawing || state.isTenDrawing) return;
+
+    renderCollection();
+    switchScreen(elements.startScreen, elements.collectionScreen);
+}
+
+/**
+ * 关闭图鉴界面
+ */
+function closeCollection() {
+    switchScreen(elements.collectionScreen, elements.startScreen);
+}
+
+/**
+ * 清空历史记录
+ */
+function resetCollection() {
+    if (!confirm('确定要清空全部抽签历史吗？图鉴也会一并清空。')) return;
+
+    clearHistory();
+    refreshCollectedCountries();
+    renderCollection();
+    showToast('抽签历史已清空');
+}
+
+/**
+ * 渲染图鉴：完成度、最稀有的收藏、国家格子与最近记录
+ * 图鉴的国家总数以当前加载的数据为准
+ */
+function renderCollection() {
+    const history = loadHistory();
+    const collection = buildCollection(history);
+    const countries = state.data.countries.filter(isDrawableCountry);
+    const collectedCount = countries.filter(c => collection.has(c.iso2)).length;
+    const rarest = getRarestCollected(collection);
+
+    elements.collectionProgress.textContent = `${collectedCount} / ${countries.length}`;
+    elements.collectionPercent.textContent = `${(collectedCount / countries.length * 100).toFixed(1)}%`;
+    elements.collectionTotalDraws.textContent = `${formatNumber(countDraws(history))} 次`;
+    elements.collectionRarest.textContent = rarest
+        ? `${getFlagEmoji(rarest.iso2)} ${rarest.name}（${rarest.birthProbability.toFixed(4)}%）`
+        : '--';
+    elements.collectionProgressBar.style.width = `${collectedCount / countries.length * 100}%`;
+
+    elements.collectionGrid.innerHTML = countries.map(c => {
+        const item = collection.get(c.iso2);
+        return `
+            <div class="collection-item ${item ? 'collected' : ''}" title="${c.name}">
+                <span class="collection-flag">${item ? getFlagEmoji(c.iso2) : '❔'}</span>
+                <span class="collection-name">${c.name}</span>
+                ${item ? `<span class="collection-count">×${item.count}</span>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    elements.collectionHistoryBody.innerHTML = history.slice(-20).reverse().map(entry => `
+        <tr>
+            <td>${new Date(entry.savedAt).toLocaleString()}</td>
+            <td>${DRAW_TYPE_LABELS[entry.type] || '单抽'}</td>
+            <td>${entry.results.map(r => getFlagEmoji(r.iso2)).join(' ')}</td>
+            <td>${entry.birthYear} 年 · 数据 ${entry.dataYear ? entry.dataYear.birthRate : '--'}/${entry.dataYear ? entry.dataYear.gdp : '--'}</td>
+            <td><code>${entry.seed}</code></td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * ==================== 成就 ====================
+ */
+
+/**
+ * 依次提示新解锁的成就
+ */
+function announceAchievements() {
+    const achievements = state.pendingAchievements;
+    state.pendingAchievements = [];
+    achievements.forEach((achievement, index) => {
+        setTimeout(() => showToast(`🏆 成就解锁：${achievement.icon} ${achievement.name}`), 800 + index * 2200);
+    });
+}
+
+/**
+ * 打开成就界面
+ */
+function openAchievements() {
+    if (state.isDrawing || state.isTenDrawing) return;
+
+    renderHomeCountrySelect();
+    renderAchievements();
+    switchScreen(elements.startScreen, elements.achievementsScreen);
+}
+
+/**
+ * 关闭成就界面
+ */
+function closeAchievements() {
+    switchScreen(elements.achievementsScreen, elements.startScreen);
+}
+
+/**
+ * 渲染“我的祖国”下拉框
+ */
+function renderHomeCountrySelect() {
+    const homeCountry = getHomeCountry();
+    const countries = state.data.countries
+        .filter(isDrawableCountry)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    elements.homeCountrySelect.innerHTML = '<option value="">未设置</option>' + countries.map(c =>
+        `<option value="${c.iso2}" ${c.iso2 === homeCountry ? 'selected' : ''}>${getFlagEmoji(c.iso2)} ${c.name}</option>`
+    ).join('');
+}
+
+/**
+ * 修改“我的祖国”，并立即按已有历史检查成就
+ */
+function changeHomeCountry() {
+    setHomeCountry(elements.homeCountrySelect.value);
+    state.pendingAchievements.push(...evaluateAchievements(loadHistory()));
+    announceAchievements();
+    renderAchievements();
+}
+
+/**
+ * 渲染成就墙
+ */
+function renderAchievements() {
+    const unlocked = loadUnlocked();
+    const unlockedCount = ACHIEVEMENTS.filter(a => unlocked[a.id]).length;
+
+    elements.achievementsProgress.textContent = `已解锁 ${unlockedCount} / ${ACHIEVEMENTS.length}`;
+    elements.achievementsGrid.innerHTML = ACHIEVEMENTS.map(a => `
+        <div class="achievement-item ${unlocked[a.id] ? 'unlocked' : ''}">
+            <span class="achievement-icon">${unlocked[a.id] ? a.icon : '🔒'}</span>
+            <span class="achievement-name">${a.name}</span>
+            <span class="achievement-description">${a.description}</span>
+            ${unlocked[a.id] ? `<span class="achievement-date">${new Date(unlocked[a.id]).toLocaleDateString()} 解锁</span>` : ''}
+        </div>
+    `).join('');
+}
+
+/**
+ * 在分享弹窗中渲染可佩戴的成就徽章（仅单抽分享图片支持）
+ */
+function renderShareBadges() {
+    const achievements = getUnlockedAchievements();
+    if (state.shareMode !== 'single' || !achievements.length) {
+        elements.shareBadges.innerHTML = '';
+        return;
+    }
+
+    elements.shareBadges.innerHTML = `
+        <span class="share-badges-label">🏆 佩戴徽章（最多 ${MAX_SHARE_BADGES} 个）</span>
+        ${achievements.map(a => `
+            <button class="pool-chip ${state.shareBadges.has(a.id) ? 'active' : ''}" data-achievement="${a.id}" title="${a.description}">
+                ${a.icon} ${a.name}
+            </button>
+        `).join('')}
+    `;
+
+    elements.shareBadges.querySelectorAll('[data-achievement]').forEach(btn => {
+        btn.addEventListener('click', () => toggleShareBadge(btn.getAttribute('data-achievement')));
+    });
+}
+
+/**
+ * 切换分享图片上佩戴的徽章，并重新生成图片
+ */
+async function toggleShareBadge(id) {
+    if (state.shareBadges.has(id)) {
+        state.shareBadges.delete(id);
+    } else if (state.shareBadges.size < MAX_SHARE_BADGES) {
+        state.shareBadges.add(id);
+    } else {
+        showToast(`最多佩戴 ${MAX_SHARE_BADGES} 个徽章`);
+        return;
+    }
+
+    renderShareBadges();
+    await generateShareImage();
+}
+
+/**
+ * 在分享图片左上角绘制佩戴的徽章
+ */
+function drawShareBadges(ctx) {
+    const badges = ACHIEVEMENTS.filter(a => state.shareBadges.has(a.id) && loadUnlocked()[a.id]);
+    badges.forEach((badge, index) => {
+        const x = 110 + index * 56;
+        const y = 120;
+
+        ctx.fillStyle = '#fff4d6';
+        ctx.strokeStyle = '#ffb800';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 22, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.font = '24px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(badge.icon, x, y + 9);
+    });
+}
+
+/**
+ * ==================== 派对模式 ====================
+ */
+
+/**
+ * 打开派对模式设置界面
+ */
+function openPartySetup() {
+    if (state.isDrawing || state.isTenDrawing) return;
+
+    renderPartyPlayers();
+    switchScreen(elements.startScreen, elements.partyScreen);
+    elements.partyNameInput.focus();
+}
+
+/**
+ * 关闭派对模式设置界面
+ */
+function closePartySetup() {
+    switchScreen(elements.partyScreen, elements.startScreen);
+}
+
+/**
+ * 添加玩家
+ */
+function addPartyPlayer() {
+    const name = elements.partyNameInput.value.trim();
+    if (!name) return;
+
+    if (state.partyNames.includes(name)) {
+        showToast('这个名字已经有人用了');
+        return;
+    }
+    if (state.partyNames.length >= MAX_PARTY_PLAYERS) {
+        showToast(`最多 ${MAX_PARTY_PLAYERS} 名玩家`);
+        return;
+    }
+
+    state.partyNames.push(name);
+    elements.partyNameInput.value = '';
+    renderPartyPlayers();
+}
+
+/**
+ * 移除玩家
+ */
+function removePartyPlayer(index) {
+    state.partyNames.splice(index, 1);
+    renderPartyPlayers();
+}
+
+/**
+ * 渲染玩家列表
+ */
+function renderPartyPlayers() {
+    // 名字来自用户输入，按纯文本渲染
+    elements.partyPlayers.innerHTML = '';
+    state.partyNames.forEach((name, index) => {
+        const chip = document.createElement('button');
+        chip.className = 'pool-chip active';
+        chip.title = '点击移除';
+        chip.textContent = `${index + 1}. ${name} `;
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-times';
+        chip.appendChild(icon);
+        chip.addEventListener('click', () => removePartyPlayer(index));
+        elements.partyPlayers.appendChild(chip);
+    });
+
+    elements.partyStartBtn.disabled = state.partyNames.length < 2;
+}
+
+/**
+ * 开始派对：玩家依次在开始界面点击“开始重开”抽签
+ */
+function startParty() {
+    if (state.partyNames.length < 2) return;
+
+    state.party = createParty([...state.partyNames]);
+    updatePartyBanner();
+    switchScreen(elements.partyScreen, elements.startScreen);
+}
+
+/**
+ * 结束派对
+ */
+function endParty() {
+    state.party = null;
+    updatePartyBanner();
+}
+
+/**
+ * 更新开始界面的派对提示，派对进行中只允许单抽
+ */
+function updatePartyBanner() {
+    const party = state.party;
+    elements.tenDrawBtn.disabled = Boolean(party);
+    elements.dailyBtn.disabled = Boolean(party);
+
+    if (!party) {
+        elements.partyBanner.style.display = 'none';
+        return;
+    }
+
+    const player = getCurrentPlayer(party);
+    elements.partyBanner.style.display = '';
+    elements.partyBannerText.textContent = player
+        ? `🎉 派对模式 · 第 ${party.current + 1}/${party.players.length} 位：请 ${player.name} 抽签`
+        : '🎉 派对模式 · 所有玩家都已抽签';
+}
+
+/**
+ * 更新结果页的派对按钮：还有玩家时轮到下一位，全部抽完后查看领奖台
+ */
+function updatePartyResultFooter() {
+    const party = state.party;
+    elements.retryBtn.style.display = party ? 'none' : '';
+    elements.partyNextBtn.style.display = party ? '' : 'none';
+    if (!party) return;
+
+    const player = getCurrentPlayer(party);
+    elements.partyNextBtn.innerHTML = player
+        ? '<i class="fas fa-user-friends"></i> '
+        : '<i class="fas fa-trophy"></i> ';
+    elements.partyNextBtn.append(player ? `下一位：${player.name}` : '查看领奖台');
+}
+
+/**
+ * 结果页的派对按钮
+ */
+function partyNext() {
+    if (isPartyFinished(state.party)) {
+        openPodium(elements.resultScreen);
+    } else {
+        retry();
+    }
+}
+
+/**
+ * 打开领奖台界面
+ */
+function openPodium(fromScreen) {
+    if (fromScreen === elements.resultScreen) {
+        clearResultView();
+    }
+    renderPodium();
+    switchScreen(fromScreen, elements.podiumScreen);
+}
+
+/**
+ * 从领奖台返回开始界面
+ */
+function closePodium() {
+    updatePartyBanner();
+    switchScreen(elements.podiumScreen, elements.startScreen);
+}
+
+/**
+ * 保留玩家再来一轮
+ */
+function restartPartyRound() {
+    restartParty(state.party);
+    closePodium();
+}
+
+/**
+ * 结束派对并返回开始界面
+ */
+function finishParty() {
+    endParty();
+    closePodium();
+}
+
+/**
+ * 按当前排名方式格式化成绩
+ */
+function formatPartyScore(result, sortBy) {
+    switch (sortBy) {
+        case 'rarity':
+            return `${getTierConfig(result.rarity).icon} ${result.probability.toFixed(4)}%`;
+        case 'luck':
+            return `🍀 ${formatLuckScore(result.luckScore)}`;
+        default:
+            return formatGdp(result.gdpPerCapita);
+    }
+}
+
+/**
+ * 渲染领奖台与完整排名
+ */
+function renderPodium() {
+    const party = state.party;
+    if (!party) return;
+
+    const sortBy = elements.partySortSelect.value;
+    const ranking = rankPlayers(party, sortBy);
+    const medals = ['🥇', '🥈', '🥉'];
+
+    elements.podiumSubtitle.textContent = `按${PARTY_SORTS[sortBy].label}排名 · 已抽签 ${ranking.length}/${party.players.length} 人`;
+
+    // 领奖台按 2-1-3 的顺序排列
+    const podium = [ranking[1], ranking[0], ranking[2]];
+    elements.podium.innerHTML = podium.map((entry, index) => entry ? `
+        <div class="podium-place podium-place-${[2, 1, 3][index]}">
+            <div class="podium-medal">${medals[entry.rank - 1] || ''}</div>
+            <div class="podium-player"></div>
+            <div class="podium-flag">${getFlagEmoji(entry.result.iso2)}</div>
+            <div class="podium-country">${entry.result.name}</div>
+            <div class="podium-score">${formatPartyScore(entry.result, sortBy)}</div>
+            <div class="podium-block">${entry.rank}</div>
+        </div>
+    ` : '<div class="podium-place podium-place-empty"></div>').join('');
+    // 名字来自用户输入，按纯文本填入
+    elements.podium.querySelectorAll('.podium-player').forEach((cell, index) => {
+        cell.textContent = podium.filter(Boolean)[index].name;
+    });
+
+    const waiting = party.players.filter(player => !player.result);
+    elements.podiumTableBody.innerHTML = ranking.map(entry => `
+        <tr>
+            <td>${medals[entry.rank - 1] || entry.rank}</td>
+            <td class="podium-player-name"></td>
+            <td>${getFlagEmoji(entry.result.iso2)} ${entry.result.name}</td>
+            <td>${formatPartyScore(entry.result, sortBy)}</td>
+        </tr>
+    `).join('') + waiting.map(player => `
+        <tr class="podium-waiting">
+            <td>--</td>
+            <td class="podium-player-name"></td>
+            <td colspan="2">尚未抽签</td>
+        </tr>
+    `).join('');
+    const names = [...ranking.map(entry => entry.name), ...waiting.map(player => player.name)];
+    elements.podiumTableBody.querySelectorAll('.podium-player-name').forEach((cell, index) => {
+        cell.textContent = names[index];
+    });
+
+    elements.podiumRestartBtn.disabled = !isPartyFinished(party);
+}
+
+/**
+ * 分享领奖台
+ */
+async function shareParty() {
+    if (!state.party) return;
+    state.shareMode = 'party';
+    renderShareBadges();
+
+    // 显示分享弹窗
+    elements.shareModal.classList.add('active');
+
+    // 添加弹窗动画
+    animate(elements.shareModal.querySelector('.modal-content'), {
+        scale: [0.9, 1],
+        opacity: [0, 1],
+        duration: 400,
+        ease: 'out(3)'
+    });
+
+    // 生成领奖台分享图片
+    await generatePartyShareImage();
+}
+
+/**
+ * 派对的分享文字
+ */
+function getPartyShareText() {
+    if (!state.party) return null;
+
+    const sortBy = elements.partySortSelect.value;
+    const medals = ['🥇', '🥈', '🥉'];
+    const lines = rankPlayers(state.party, sortBy).map(entry =>
+        `${medals[entry.rank - 1] || `${entry.rank}.`} ${entry.name}：${getFlagEmoji(entry.result.iso2)} ${entry.result.name} · ${formatPartyScore(entry.result, sortBy)}`);
+
+    return `我们在投胎模拟器里开了一场投胎派对！（按${PARTY_SORTS[sortBy].label}排名）
+
+${lines.join('\n')}
+
+快来试试你的运气吧！`;
+}
+
+/**
+ * 生成领奖台分享图片
+ */
+async function generatePartyShareImage() {
+    const canvas = elements.shareCanvas;
+    const ctx = canvas.getContext('2d');
+    const sortBy = elements.partySortSelect.value;
+    const ranking = rankPlayers(state.party, sortBy);
+    const medals = ['🥇', '🥈', '🥉'];
+
+    // 设置画布尺寸（名单较长时加高）
+    const width = 800;
+    const listRows = Math.max(ranking.length - 3, 0);
+    const height = 820 + listRows * 44;
+    canvas.width = width;
+    canvas.height = height;
+
+    // 绘制背景渐变
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, '#667eea');
+    gradient.addColorStop(1, '#764ba2');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    // 绘制白色卡片背景
+    const cardPadding = 40;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
+    ctx.shadowBlur = 20;
+    ctx.shadowOffsetY = 10;
+    roundRect(ctx, cardPadding, 60, width - cardPadding * 2, height - 120, 20);
+    ctx.fill();
+    ctx.shadowColor = 'transparent';
+
+    // 绘制标题
+    ctx.fillStyle = '#ff6b9d';
+    ctx.font = 'bold 44px "Microsoft YaHei", sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('🎉 投胎派对领奖台', width / 2, 130);
+
+    ctx.fillStyle = '#636e72';
+    ctx.font = '22px "Microsoft YaHei", sans-serif';
+    ctx.fillText(`按${PARTY_SORTS[sortBy].label}排名 · 共 ${ranking.length} 位玩家`, width / 2, 170);
+
+    // 绘制领奖台（2-1-3）
+    const places = [
+        { entry: ranking[1], x: width / 2 - 210, blockHeight: 110 },
+        { entry: ranking[0], x: width / 2, blockHeight: 150 },
+        { entry: ranking[2], x: width / 2 + 210, blockHeight: 80 }
+    ];
+    const baseY = 560;
+    places.forEach(({ entry, x, blockHeight }) => {
+        if (!entry) return;
+
+        ctx.fillStyle = entry.rank === 1 ? '#ffd32a' : (entry.rank === 2 ? '#dfe6e9' : '#fab1a0');
+        roundRect(ctx, x - 90, baseY - blockHeight, 180, blockHeight, 12);
+        ctx.fill();
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#2d3436';
+        ctx.font = 'bold 40px "Microsoft YaHei", sans-serif';
+        ctx.fillText(`${entry.rank}`, x, baseY - blockHeight / 2 + 14);
+
+        const top = baseY - blockHeight;
+        ctx.font = '40px Arial';
+        ctx.fillText(medals[entry.rank - 1] || '', x, top - 170);
+        ctx.font = '48px Arial';
+        ctx.fillText(getFlagEmoji(entry.result.iso2), x, top - 110);
+        ctx.font = 'bold 22px "Microsoft YaHei", sans-serif';
+        ctx.fillText(entry.name.length > 8 ? entry.name.substring(0, 8) + '...' : entry.name, x, top - 70);
+        ctx.fillStyle = '#636e72';
+        ctx.font = '16px "Microsoft YaHei", sans-serif';
+        ctx.fillText(entry.result.name.length > 14 ? entry.result.name.substring(0, 14) + '...' : entry.result.name, x, top - 45);
+        ctx.fillStyle = '#ff6b9d';
+        ctx.font = 'bold 18px "Microsoft YaHei", sans-serif';
+        ctx.fillText(formatPartyScore(entry.result, sortBy), x, top - 18);
+    });
+
+    // 绘制其余名次
+    ranking.slice(3).forEach((entry, index) => {
+        const y = baseY + 60 + index * 44;
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#636e72';
+        ctx.font = 'bold 20px "Microsoft YaHei", sans-serif';
+        ctx.fillText(`${entry.rank}`, 100, y);
+        ctx.fillStyle = '#2d3436';
+        ctx.fillText(entry.name, 150, y);
+        ctx.font = '18px "Microsoft YaHei", sans-serif';
+        ctx.fillText(`${getFlagEmoji(entry.result.iso2)} ${entry.result.name}`, 330, y);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#ff6b9d';
+        ctx.fillText(formatPartyScore(entry.result, sortBy), width - 100, y);
+    });
+
+    // 绘制底部信息
+    ctx.fillStyle = '#b2bec3';
+    ctx.font = '18px "Microsoft YaHei", sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('体验投胎模拟器', width / 2, height - 85);
+
+    // 将 Canvas 转换为图片显示（移动端长按保存支持更好）
+    convertCanvasToImage();
+}
+
+/**
+ * ==================== 每日挑战 ====================
+ */
+
+/**
+ * 开始今日投胎
+ * 种子由当天日期派生，并固定使用默认权重模式、忽略抽签池与属地归并，
+ * 同一天、同一数据版本下所有人抽到相同的结果
+ */
+function startDailyDraw() {
+    if (state.isDrawing || state.party || !state.dailyLottery?.sampler) return;
+    if (state.data.custom) {
+        showToast('今日投胎只使用默认数据，请先恢复默认数据');
+        return;
+    }
+    state.dailyKey = getDailyKey();
+    startDrawing();
+}
+
+/**
+ * 结果所属的抽签数据：每日挑战使用固定的抽签数据，其余使用当前抽签数据
+ */
+function getResultLottery(result) {
+    return result.daily ? state.dailyLottery.data : state.lottery;
+}
+
+/**
+ * 启动开始界面的每日挑战倒计时（每秒刷新，跨过零点时日期随之更新）
+ */
+function startDailyCountdown() {
+    const update = () => {
+        elements.dailyDate.textContent = `📅 今日投胎 · ${getDailyKey()}`;
+        elements.dailyCountdown.textContent = `距离明日投胎 ${formatCountdown(getMsUntilTomorrow())}`;
+    };
+    update();
+    setInterval(update, 1000);
+}
+
+/**
+ * ==================== 批量抽签 ====================
+ */
+
+/**
+ * 打开批量抽签界面
+ */
+function openBulkDraw() {
+    if (state.isDrawing || state.isTenDrawing) return;
+    if (!state.sampler) {
+        showToast('抽签池为空，请调整筛选条件');
+        return;
+    }
+
+    populateBulkSizeSelect();
+    elements.bulkResults.style.display = 'none';
+    elements.bulkSeed.textContent = '';
+    switchScreen(elements.startScreen, elements.bulkScreen);
+}
+
+/**
+ * 填充批量抽签次数选择框
+ */
+function populateBulkSizeSelect() {
+    const select = elements.bulkSizeSelect;
+    if (select.options.length > 0) return;
+
+    BULK_DRAW_SIZES.forEach(size => {
+        const option = document.createElement('option');
+        option.value = size;
+        option.textContent = `${size} 次`;
+        select.appendChild(option);
+    });
+    select.value = DEFAULT_BULK_DRAW_SIZE;
+}
+
+/**
+ * 关闭批量抽签界面
+ */
+function closeBulkDraw() {
+    // 批量抽签进行中（迷你地图可能正在创建）时不关闭
+    if (state.isBulkDrawing) return;
+
+    if (state.maps.bulk) {
+        state.maps.bulk.destroy();
+        state.maps.bulk = null;
+    }
+    switchScreen(elements.bulkScreen, elements.startScreen);
+}
+
+/**
+ * 执行批量抽签
+ * 与十连抽一样共用同一个随机数源，整组结果可由种子复现；只渲染汇总，不逐条生成卡片
+ */
+async function runBulkDraw() {
+    // 防止连点：首次创建迷你地图要等待渲染，重复进入会创建多个地图实例
+    if (state.isBulkDrawing) return;
+
+    state.isBulkDrawing = true;
+    elements.bulkStartBtn.disabled = true;
+
+    try {
+        const total = parseInt(elements.bulkSizeSelect.value, 10);
+        const session = createDrawSession();
+        const results = state.sampler.drawMany(session.random, total);
+        const summary = summarizeDraws(results);
+
+        elements.bulkSeed.textContent = `${formatNumber(total)} 次抽签 · 出生于 ${getBirthYear()} 年 · ${formatSeedLabel(session.seed)}`;
+        elements.bulkResults.style.display = '';
+
+        renderBulkStats(summary);
+        renderBulkTables(summary);
+        await renderBulkMap(summary);
+    } finally {
+        state.isBulkDrawing = false;
+        elements.bulkStartBtn.disabled = false;
+    }
+}
+
+/**
+ * 渲染批量抽签的关键统计
+ */
+function renderBulkStats(summary) {
+    const { rarest } = summary;
+    elements.bulkCountryCount.textContent = `${summary.countries.length} 个`;
+    elements.bulkAverageGdp.textContent = formatGdp(summary.averageGdp);
+    elements.bulkMedianGdp.textContent = formatGdp(summary.medianGdp);
+    elements.bulkRarest.textContent =
+        `${getFlagEmoji(rarest.iso2)} ${rarest.name}（${rarest.probability.toFixed(4)}%）`;
+}
+
+/**
+ * 渲染按地区与按国家的命中次数表
+ * 地区与国家名称可能来自导入的自定义数据集，用 textContent 填入，不拼接 HTML
+ */
+function renderBulkTables(summary) {
+    elements.bulkRegionBody.replaceChildren(...summary.regions.map(row => createTextRow([
+        row.region,
+        formatNumber(row.count),
+        `${(row.share * 100).toFixed(1)}%`
+    ])));
+
+    elements.bulkCountryBody.replaceChildren(...summary.countries.map(row => createTextRow([
+        `${getFlagEmoji(row.country.iso2)} ${row.country.name}`,
+        formatNumber(row.count),
+        `${(row.share * 100).toFixed(1)}%`,
+        `${row.country.probability.toFixed(4)}%`
+    ])));
+}
+
+/**
+ * 由文字生成表格行，每项一个单元格
+ */
+function createTextRow(cells) {
+    const tr = document.createElement('tr');
+    cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+    });
+    return tr;
+}
+
+/**
+ * 在迷你地图上按命中次数着色
+ */
+async function renderBulkMap(summary) {
+    if (!state.maps.bulk) {
+        state.maps.bulk = new WorldMapController('bulk-map', {
+            interactive: true,
+            showTooltip: true,
+            colorScheme: 'count'
+        });
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    const counts = new Map(summary.countries.map(row => [row.country.iso2, row.count]));
+    state.maps.bulk.bindData({
+        ...state.lottery,
+        countries: state.lottery.countries.map(c => ({ ...c, count: counts.get(c.iso2) || 0 }))
+    });
+}
+
+/**
+ * ==================== 家族传承 ====================
+ */
+
+/**
+ * 打开家族传承界面
+ */
+function openLineage() {
+    if (!state.currentResult) return;
+
+    state.lineageRun = 0;
+    switchScreen(elements.resultScreen, elements.lineageScreen);
+    renderLineage();
+}
+
+/**
+ * 关闭家族传承界面，返回结果页
+ */
+function closeLineage() {
+    if (state.maps.lineage) {
+        state.maps.lineage.destroy();
+        state.maps.lineage = null;
+    }
+    switchScreen(elements.lineageScreen, elements.resultScreen);
+}
+
+/**
+ * 换一种命运：用同一种子的下一个子随机流重新模拟
+ */
+function rerunLineage() {
+    state.lineageRun++;
+    renderLineage();
+}
+
+/**
+ * 模拟并渲染家族传承
+ * 随机数源由结果种子派生，第一次模拟的结果可由种子复现
+ */
+async function renderLineage() {
+    const result = state.currentResult;
+    const model = buildMigrationModel(state.data.countries);
+    const generations = parseInt(elements.lineageGenerations.value, 10);
+    const random = createRandom(result.seed, state.data.timestamp, 'lineage', state.lineageRun);
+
+    const lineage = simulateLineage(result, model, {
+        generations,
+        startYear: result.year,
+        random
+    });
+
+    elements.lineageNote.textContent = hasMigrationData(model)
+        ? `每代约 ${GENERATION_YEARS} 年。移民概率由各国净迁移人数换算；目的地是简化模型：不区分从哪里出发，统一按各国在全球净流入人数中的份额抽取，并非各国的实际流向。`
+        : '⚠️ 当前数据缺少净迁移数据（SM.POP.NETM），所有后代都会留在出生国。';
+
+    renderLineageTimeline(lineage, model);
+    await renderLineageMap(lineage);
+}
+
+/**
+ * 渲染逐代时间线
+ */
+function renderLineageTimeline(lineage, model) {
+    elements.lineageTimeline.innerHTML = lineage.map(entry => {
+        const { country } = entry;
+        let description;
+        if (entry.generation === 1) {
+            description = `投胎起点 · 一代人内移民概率 ${(getEmigrationProbability(model, country) * 100).toFixed(1)}%`;
+        } else if (entry.emigrated) {
+            description = `✈️ 从 ${entry.from.name} 移民 · 全球净流入份额 ${(getDestinationShare(model, country) * 100).toFixed(1)}%`;
+        } else {
+            description = `🏠 留在 ${country.name}`;
+        }
+
+        return `
+            <li class="lineage-item ${entry.emigrated ? 'emigrated' : ''}">
+                <div class="lineage-generation">第 ${entry.generation} 代</div>
+                <div class="lineage-body">
+                    <div class="lineage-country">${getFlagEmoji(country.iso2)} ${country.name}</div>
+                    <div class="lineage-meta">${entry.generation === 1 ? '' : '约 '}${entry.year} 年出生 · ${description}</div>
+                </div>
+            </li>
+        `;
+    }).join('');
+
+    elements.lineageTimeline.querySelectorAll('.lineage-item').forEach((item, index) => {
+        animate(item, {
+            opacity: [0, 1],
+            x: [-20, 0],
+            duration: 500,
+            delay: index * 400,
+            ease: 'out(3)'
+        });
+    });
+}
+
+/**
+ * 在地图上依次标出每一代所在国家，并用弧线连接移民路径
+ */
+async function renderLineageMap(lineage) {
+    if (!state.maps.lineage) {
+        state.maps.lineage = new WorldMapController('lineage-map', {
+            interactive: true,
+            showTooltip: true
+        });
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    const map = state.maps.lineage;
+    map.bindData(state.lottery);
+    map.clearOverlay();
+
+    lineage.forEach((entry, index) => {
+        const delay = index * 400;
+        setTimeout(() => map.highlightCountry(entry.country.iso2, { pulse: false }), delay);
+
+        if (entry.emigrated) {
+            map.drawArc(getCountryLonLat(entry.from, map), getCountryLonLat(entry.country, map), {
+                delay,
+                duration: 1200
+            });
+        }
+    });
+}
+
+/**
+ * 获取国家的经纬度：优先使用首都坐标，缺失时使用地图上的国家中心
+ */
+function getCountryLonLat(country, map) {
+    const { longitude, latitude } = country;
+    if (Number.isFinite(longitude) && Number.isFinite(latitude)) {
+        return [longitude, latitude];
+    }
+    return map.getCountryLonLat(country.iso2);
+}
+
+/**
+ * ==================== 自定义数据集 ====================
+ */
+
+/**
+ * 打开导入数据集弹窗
+ */
+function openImportModal() {
+    if (state.isDrawing || state.isTenDrawing || !state.data) return;
+
+    elements.importFile.value = '';
+    elements.importName.value = '';
+    renderImportErrors([]);
+    elements.importModal.classList.add('active');
+
+    animate(elements.importModal.querySelector('.modal-content'), {
+        scale: [0.9, 1],
+        opacity: [0, 1],
+        duration: 400,
+        ease: 'out(3)'
+    });
+}
+
+/**
+ * 关闭导入数据集弹窗
+ */
+function closeImportModal() {
+    animate(elements.importModal.querySelector('.modal-content'), {
+        scale: [1, 0.9],
+        opacity: [1, 0],
+        duration: 300,
+        ease: 'in(3)',
+        onComplete: () => {
+            elements.importModal.classList.remove('active');
+        }
+    });
+}
+
+/**
+ * 导入所选文件，校验后替换本次会话的数据
+ * 名称、地区等信息沿用默认数据中同一 ISO2 的国家；无效的行被跳过，并在弹窗与数据诊断界面中列出
+ */
+async function importDataset() {
+    const file = elements.importFile.files[0];
+    if (!file) {
+        showToast('请先选择 CSV 或 JSON 文件');
+        return;
+    }
+
+    const name = elements.importName.value.trim() || file.name.replace(/\.[^.]+$/, '').slice(0, 30);
+    const baseData = state.baseData ? state.baseData.data : state.data;
+    let dataset;
+    try {
+        const records = parseDatasetFile(await file.text(), file.name);
+        dataset = buildCustomDataset(records, baseData, name);
+    } catch (error) {
+        renderImportErrors([error.message]);
+        return;
+    }
+
+    // 首次导入时保存默认数据，以便恢复
+    if (!state.baseData) {
+        state.baseData = { data: state.data, report: state.dataReport, offlineSource: state.offlineSource };
+    }
+    state.weightMode = DEFAULT_WEIGHT_MODE;
+    state.pool = createPool();
+    applyData(dataset.data, dataset.report, null);
+    rebindMaps();
+
+    const { dropped } = dataset.report;
+    if (dropped.length) {
+        const messages = dropped.slice(0, MAX_IMPORT_ERRORS)
+            .map(record => `第 ${record.index} 行：${record.reasons.join('；')}`);
+        if (dropped.length > MAX_IMPORT_ERRORS) {
+            messages.push(`……共 ${dropped.length} 行被跳过，完整列表见“数据诊断”`);
+        }
+        renderImportErrors(messages);
+        showToast(`已导入 ${dataset.data.totalCountries} 个国家/地区，跳过 ${dropped.length} 行无效数据`);
+    } else {
+        closeImportModal();
+        showToast(`已导入自定义数据集「${name}」`);
+    }
+}
+
+/**
+ * 在导入弹窗中列出错误（文件内容来自用户，按纯文本渲染）
+ */
+function renderImportErrors(messages) {
+    elements.importErrors.innerHTML = '';
+    messages.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        elements.importErrors.appendChild(item);
+    });
+}
+
+/**
+ * 恢复导入前的默认数据
+ */
+function restoreDefaultDataset() {
+    if (state.isDrawing || state.isTenDrawing || !state.baseData) return;
+
+    const { data, report, offlineSource } = state.baseData;
+    state.baseData = null;
+    state.pool = createPool();
+    applyData(data, report, offlineSource);
+    rebindMaps();
+    showToast('已恢复默认数据');
+}
+
+/**
+ * 开始界面的自定义数据集提示
+ */
+function updateDatasetBanner() {
+    const custom = state.data.custom;
+    elements.datasetBanner.style.display = custom ? '' : 'none';
+    if (custom) {
+        elements.datasetBannerText.textContent =
+            `🗂️ 正在使用自定义数据集「${custom.name}」（${state.data.totalCountries} 个国家/地区），抽签结果不计入历史与成就`;
+    }
+}
+
+/**
+ * 数据替换后，按新的抽签数据重新绑定所有地图
+ */
+function rebindMaps() {
+    Object.values(state.maps).forEach(map => {
+        if (map) map.bindData(state.lottery);
+    });
+    refreshCollectedCountries();
+}
+
+/**
+ * ==================== 数据来源 ====================
+ */
+
+/**
+ * 当前数据的来源汇总
+ */
+function getCurrentProvenance() {
+    return getProvenance(state.data, state.dataReport, state.offlineSource);
+}
+
+/**
+ * 由数据来源生成页脚说明
+ */
+function updateFooterNote() {
+    elements.footerNote.textContent = formatProvenanceFooter(getCurrentProvenance());
+}
+
+/**
+ * 打开数据来源界面
+ */
+function openProvenance() {
+    if (state.isDrawing || state.isTenDrawing || !state.data) return;
+
+    renderProvenance();
+    switchScreen(elements.startScreen, elements.provenanceScreen);
+}
+
+/**
+ * 关闭数据来源界面
+ */
+function closeProvenance() {
+    switchScreen(elements.provenanceScreen, elements.startScreen);
+}
+
+/**
+ * 渲染数据来源
+ * 丢弃数只统计因缺少数据未合并的记录（不含聚合区域），并计入前端校验丢弃的记录
+ */
+function renderProvenance() {
+    const provenance = getCurrentProvenance();
+    // 自定义数据集没有服务端合并，校验未通过的就是导入文件中的无效行
+    const custom = provenance.source === 'custom';
+    const missingData = provenance.dropped.filter(row => row.reason !== 'aggregates');
+    const droppedCount = missingData.reduce((sum, row) => sum + row.count, 0) + provenance.validationDropped;
+
+    elements.provenanceSource.textContent = DATA_SOURCES[provenance.source];
+    elements.provenanceFetchedAt.textContent =
+        `${provenance.fetchedAt.toLocaleString()}（${formatDataAge(state.data.timestamp)}）`;
+    elements.provenanceMerged.textContent = formatNumber(provenance.mergedCountries);
+    elements.provenanceDropped.textContent = formatNumber(droppedCount);
+
+    elements.provenanceIndicatorBody.innerHTML = provenance.indicators.map(indicator => `
+        <tr>
+            <td><code>${indicator.code}</code></td>
+            <td>${indicator.label}</td>
+            <td>${indicator.year ? `${indicator.year} 年` : (custom ? '导入文件' : '各国最近一年')}${indicator.fallback ? `（${formatNumber(indicator.fallback.count)} 个国家/地区缺失，改用最早 ${indicator.fallback.earliestYear} 年的数据）` : ''}</td>
+        </tr>
+    `).join('');
+
+    const droppedRows = [...provenance.dropped];
+    if (provenance.validationDropped) {
+        droppedRows.push({
+            label: custom ? '导入文件中的无效行' : '前端校验未通过',
+            count: provenance.validationDropped
+        });
+    }
+    elements.provenanceDroppedBody.innerHTML = droppedRows.length
+        ? droppedRows.map(row => `
+            <tr>
+                <td>${row.label}</td>
+                <td>${formatNumber(row.count)}</td>
+            </tr>
+        `).join('')
+        : `<tr><td colspan="2">${custom ? '✅ 导入文件中没有无效行' : '暂无统计（旧版缓存数据未记录合并情况）'}</td></tr>`;
+}
+
+/**
+ * ==================== 数据诊断 ====================
+ */
+
+/**
+ * 可选字段的中文名称
+ */
+const DATA_FIELD_LABELS = {
+    region: '地区',
+    incomeLevel: '收入水平',
+    capital: '首都',
+    longitude: '首都经度',
+    latitude: '首都纬度',
+    gdpPerCapita: '人均GDP',
+    landArea: '国土面积',
+    netMigration: '净迁移',
+    lifeExpectancy: '预期寿命',
+    under5Mortality: '五岁以下死亡率',
+    secondaryEnrollment: '中学入学率',
+    electricityAccess: '通电率',
+    sexRatioAtBirth: '出生性别比',
+    urbanShare: '城镇人口比例',
+    incomeShares: '收入十分位份额'
+};
+
+/**
+ * 更新首页“数据诊断”按钮上的丢弃记录数
+ */
+function updateDebugBadge() {
+    const dropped = state.dataReport ? state.dataReport.dropped.length : 0;
+    elements.debugBadge.textContent = dropped ? `（${dropped}）` : '';
+}
+
+/**
+ * 打开数据诊断界面
+ */
+function openDebugPanel() {
+    if (state.isDrawing || state.isTenDrawing || !state.dataReport) return;
+
+    renderDebugPanel();
+    switchScreen(elements.startScreen, elements.debugScreen);
+}
+
+/**
+ * 关闭数据诊断界面
+ */
+function closeDebugPanel() {
+    switchScreen(elements.debugScreen, elements.startScreen);
+}
+
+/**
+ * 渲染校验报告
+ */
+function renderDebugPanel() {
+    const { total, dropped, missing } = state.dataReport;
+
+    elements.debugTotal.textContent = formatNumber(total);
+    elements.debugKept.textContent = formatNumber(state.data.countries.length);
+    elements.debugDroppedCount.textContent = formatNumber(dropped.length);
+    elements.debugVersion.textContent = state.data.timestamp;
+
+    elements.debugDroppedBody.innerHTML = dropped.length
+        ? dropped.map(record => `
+            <tr>
+                <td>${record.index}</td>
+                <td>${record.id || '--'}</td>
+                <td>${record.name || '--'}</td>
+                <td>${record.reasons.join('<br>')}</td>
+            </tr>
+        `).join('')
+        : '<tr><td colspan="4">✅ 没有被丢弃的记录</td></tr>';
+
+    const missingRows = Object.entries(missing).sort((a, b) => b[1] - a[1]);
+    elements.debugMissingBody.innerHTML = missingRows.length
+        ? missingRows.map(([field, count]) => `
+            <tr>
+                <td>${DATA_FIELD_LABELS[field] || field} <code>${field}</code></td>
+                <td>${formatNumber(count)}</td>
+            </tr>
+        `).join('')
+        : '<tr><td colspan="2">✅ 所有字段都有数据</td></tr>';
+}
+
+/**
+ * ==================== 公平性审计 ====================
+ */
+
+/**
+ * 打开审计界面
+ */
+function openAudit() {
+    if (state.isDrawing || state.isTenDrawing) return;
+    if (!state.sampler) {
+        showToast('抽签池为空，请调整筛选条件');
+        return;
+    }
+
+    resetAuditView();
+    switchScreen(elements.startScreen, elements.auditScreen);
+}
+
+/**
+ * 关闭审计界面
+ */
+function closeAudit() {
+    cancelAudit();
+    switchScreen(elements.auditScreen, elements.startScreen);
+}
+
+/**
+ * 重置审计界面
+ */
+function resetAuditView() {
+    const config = WEIGHT_MODES[state.weightMode];
+    const poolNote = state.lottery.poolActive ? `自定义抽签池（${state.lottery.poolSize} 个国家/地区）` : '全部国家/地区';
+    elements.auditTarget.textContent = `审计对象：${getBirthYear()} 年数据 · ${config.label} · ${poolNote}`;
+    elements.auditProgressBar.style.width = '0%';
+    elements.auditProgressText.textContent = '尚未开始';
+    elements.auditChiSquare.textContent = '--';
+    elements.auditPValue.textContent = '--';
+    elements.auditVerdict.textContent = '--';
+    elements.auditTableBody.innerHTML = '';
+    elements.auditChart.innerHTML = '';
+    updateAuditButtons(false);
+}
+
+/**
+ * 更新审计按钮状态
+ */
+function updateAuditButtons(running) {
+    elements.auditStartBtn.disabled = running;
+    elements.auditSizeSelect.disabled = running;
+    elements.auditCancelBtn.disabled = !running;
+}
+
+/**
+ * 开始审计
+ * 在 Web Worker 中执行与 drawCountry() 相同的别名抽样，UI 线程只负责展示
+ */
+function startAudit() {
+    cancelAudit();
+
+    const countries = state.sampler.items;
+    const total = parseInt(elements.auditSizeSelect.value, 10);
+    const seed = generateSeed();
+
+    state.audit = {
+        worker: new Worker('audit-worker.js', { type: 'module' }),
+        countries,
+        probabilities: countries.map(c => c.weight / state.sampler.totalWeight),
+        total,
+        seed,
+        history: []
+    };
+
+    state.audit.worker.onmessage = handleAuditMessage;
+    state.audit.worker.onerror = (error) => {
+        console.error('审计 Worker 出错:', error);
+        showToast('审计运行失败');
+        cancelAudit();
+    };
+    state.audit.worker.postMessage({
+        weights: countries.map(c => c.weight),
+        total,
+        seed,
+        timestamp: state.data.timestamp
+    });
+
+    resetAuditView();
+    elements.auditProgressText.textContent = `运行中… 种子 ${seed}`;
+    updateAuditButtons(true);
+}
+
+/**
+ * 取消审计（直接终止 Worker）
+ */
+function cancelAudit() {
+    if (!state.audit || !state.audit.worker) return;
+
+    state.audit.worker.terminate();
+    state.audit.worker = null;
+    updateAuditButtons(false);
+
+    if (state.audit.history.length) {
+        const last = state.audit.history[state.audit.history.length - 1];
+        elements.auditProgressText.textContent = `已取消：完成 ${formatNumber(last.drawn)} / ${formatNumber(state.audit.total)} 次`;
+    } else {
+        elements.auditProgressText.textContent = '已取消';
+    }
+}
+
+/**
+ * 处理 Worker 回报的进度
+ */
+function handleAuditMessage(event) {
+    const audit = state.audit;
+    const message = event.data;
+    if (!audit || !audit.worker) return;
+
+    if (message.type === 'error') {
+        showToast(`审计运行失败：${message.message}`);
+        cancelAudit();
+        return;
+    }
+
+    const { drawn, counts } = message;
+    const test = chiSquareTest(counts, audit.probabilities);
+    const distance = totalVariationDistance(counts, audit.probabilities);
+    audit.history.push({ drawn, distance, pValue: test.pValue });
+
+    // 进度
+    const percent = (drawn / audit.total) * 100;
+    elements.auditProgressBar.style.width = `${percent}%`;
+    elements.auditProgressText.textContent = message.type === 'done'
+        ? `已完成 ${formatNumber(drawn)} 次抽签 · 种子 ${audit.seed}`
+        : `运行中… ${formatNumber(drawn)} / ${formatNumber(audit.total)} 次`;
+
+    // 卡方检验
+    elements.auditChiSquare.textContent = `${test.statistic.toFixed(2)}（自由度 ${test.degreesOfFreedom}）`;
+    elements.auditPValue.textContent = test.pValue < 0.0001 ? '< 0.0001' : test.pValue.toFixed(4);
+    elements.auditVerdict.textContent = test.pValue >= 0.01
+        ? '✅ 观测频率与理论概率一致'
+        : '⚠️ 偏差显著，请检查抽签算法';
+
+    renderAuditTable(counts, drawn);
+    renderAuditChart(audit.history);
+
+    if (message.type === 'done') {
+        audit.worker.terminate();
+        audit.worker = null;
+        updateAuditButtons(false);
+    }
+}
+
+/**
+ * 渲染观测频率与理论概率对照表（按理论概率从高到低）
+ */
+function renderAuditTable(counts, drawn) {
+    const { countries, probabilities } = state.audit;
+
+    const rows = countries
+        .map((country, i) => {
+            const expected = probabilities[i];
+            const observed = drawn > 0 ? counts[i] / drawn : 0;
+            const sigma = Math.sqrt(expected * (1 - expected) / drawn);
+            const z = sigma > 0 ? (observed - expected) / sigma : 0;
+            return { country, expected, observed, count: counts[i], z };
+        })
+        .sort((a, b) => b.expected - a.expected);
+
+    elements.auditTableBody.innerHTML = rows.map(row => `
+        <tr>
+            <td>${getFlagEmoji(row.country.iso2)} ${row.country.name}</td>
+            <td>${(row.expected * 100).toFixed(4)}%</td>
+            <td>${(row.observed * 100).toFixed(4)}%</td>
+            <td>${formatNumber(row.count)}</td>
+            <td class="${Math.abs(row.z) > 3 ? 'audit-deviation-high' : ''}">${row.z >= 0 ? '+' : ''}${row.z.toFixed(2)}σ</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * 渲染收敛曲线：总变差距离随抽签次数的变化（对数横轴）
+ */
+function renderAuditChart(history) {
+    const container = elements.auditChart;
+    container.innerHTML = '';
+    if (history.length < 2) return;
+
+    const width = 600;
+    const height = 220;
+    const margin = { top: 15, right: 20, bottom: 35, left: 55 };
+
+    const svg = d3.select(container)
+        .append('svg')
+        .attr('viewBox', `0 0 ${width} ${height}`);
+
+    const x = d3.scaleLog()
+        .domain([history[0].drawn, Math.max(history[history.length - 1].drawn, history[0].drawn * 10)])
+        .range([margin.left, width - margin.right]);
+    const y = d3.scaleLinear()
+        .domain([0, d3.max(history, d => d.distance) || 1])
+        .nice()
+        .range([height - margin.bottom, margin.top]);
+
+    svg.append('g')
+        .attr('transform', `translate(0, ${height - margin.bottom})`)
+        .call(d3.axisBottom(x).ticks(5, '~s'));
+    svg.append('g')
+        .attr('transform', `translate(${margin.left}, 0)`)
+        .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('.1%')));
+
+    svg.append('path')
+        .datum(history)
+        .attr('fill', 'none')
+        .attr('stroke', '#ff6b9d')
+        .attr('stroke-width', 2)
+        .attr('d', d3.line().x(d => x(d.drawn)).y(d => y(d.distance)));
+
+    svg.selectAll('circle')
+        .data(history)
+        .enter()
+        .append('circle')
+        .attr('cx', d => x(d.drawn))
+        .attr('cy', d => y(d.distance))
+        .attr('r', 3)
+        .attr('fill', '#c44569');
+
+    svg.append('text')
+        .attr('x', width / 2)
+        .attr('y', height - 4)
+        .attr('text-anchor', 'middle')
+        .attr('class', 'audit-axis-label')
+        .text('抽签次数');
+}
+
 // 启动应用
 init();
 
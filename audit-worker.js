@@ -0,0 +1,54 @@
+/**
+ * 公平性审计 Web Worker
+ * 在后台线程中用与 drawCountry() 相同的别名抽样器执行大量抽签，并分批回报各国的命中次数
+ *
+ * 输入消息: { weights, total, seed, timestamp }
+ * 输出消息: { type: 'progress', drawn, counts } / { type: 'done', drawn, counts } / { type: 'error', message }
+ */
+
+import { AliasSampler } from './sampler.js';
+import { createRandom } from './random.js';
+
+// 每批抽签次数上限，批与批之间让出线程以便回报进度
+const MAX_CHUNK_SIZE = 250000;
+// 早期按几何级数回报，使收敛曲线在小样本区间也有足够的点
+const FIRST_CHECKPOINT = 1000;
+
+self.onmessage = (event) => {
+    const { weights, total, seed, timestamp } = event.data;
+
+    let sampler;
+    try {
+        const items = weights.map((weight, index) => ({ index, weight }));
+        sampler = new AliasSampler(items, item => item.weight);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+        return;
+    }
+
+    const random = createRandom(seed, timestamp);
+    const counts = new Float64Array(weights.length);
+    let drawn = 0;
+    let checkpoint = FIRST_CHECKPOINT;
+
+    const runChunk = () => {
+        const target = Math.min(total, checkpoint, drawn + MAX_CHUNK_SIZE);
+        for (; drawn < target; drawn++) {
+            counts[sampler.draw(random).index]++;
+        }
+
+        if (drawn >= checkpoint) {
+            checkpoint *= 2;
+        }
+
+        if (drawn >= total) {
+            self.postMessage({ type: 'done', drawn, counts: Array.from(counts) });
+            return;
+        }
+
+        self.postMessage({ type: 'progress', drawn, counts: Array.from(counts) });
+        setTimeout(runChunk, 0);
+    };
+
+    runChunk();
+};
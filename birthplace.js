@@ -0,0 +1,48 @@
+/**
+ * 城乡出生地抽取
+ * 在抽中国家之后，按该国城镇人口比例（世界银行 SP.URB.TOTL.IN.ZS）决定出生在城市还是乡村
+ */
+
+// 缺少数据时使用的全球城镇人口比例（约 57%）
+export const DEFAULT_URBAN_SHARE = 57;
+
+export const BIRTHPLACES = {
+    urban: { label: '城市', icon: '🏙️' },
+    rural: { label: '乡村', icon: '🌾' }
+};
+
+/**
+ * 获取国家的城镇人口比例（0-100），缺失时返回 null
+ */
+export function getUrbanShare(country) {
+    if (country.urbanShare === null || country.urbanShare === undefined || country.urbanShare === '') return null;
+    const share = Number(country.urbanShare);
+    return Number.isFinite(share) ? Math.min(Math.max(share, 0), 100) : null;
+}
+
+/**
+ * 按城镇人口比例抽取出生地，缺少数据时按全球平均水平
+ */
+export function drawBirthplace(country, random) {
+    const share = getUrbanShare(country) ?? DEFAULT_URBAN_SHARE;
+    return random() * 100 < share ? 'urban' : 'rural';
+}
+
+/**
+ * 获取出生地的显示文字，如 “🏙️ 城市”
+ */
+export function formatBirthplace(birthplace) {
+    const config = BIRTHPLACES[birthplace];
+    return config ? `${config.icon} ${config.label}` : '';
+}
+
+/**
+ * 统计一组结果中城市与乡村出生的数量
+ */
+export function countBirthplaces(results) {
+    return Object.entries(BIRTHPLACES).map(([id, config]) => ({
+        id,
+        ...config,
+        count: results.filter(r => r.birthplace === id).length
+    }));
+}
@@ -0,0 +1,354 @@
+// 离线构建 data_cache.json：由本地下载的世界银行批量数据文件生成与 fetch_data.php 相同结构的数据
+// 用法: node build-data.js <数据目录> [--year 2023] [--gdp-year 2024] [--out data_cache.json]
+//
+// 数据目录中放入：
+//   - 各指标的批量 CSV（数据页面的 “Download CSV”，如 API_SP.DYN.CBRT.IN_DS2_en_csv_v2_*.csv）
+//     或 API 返回的 JSON（如 https://api.worldbank.org/v2/country/all/indicator/SP.DYN.CBRT.IN?format=json&per_page=20000）
+//   - 国家元数据 JSON（https://api.worldbank.org/v2/country?format=json&per_page=400）
+// 其他文件（如 CSV 压缩包中的 Metadata_*.csv）会被忽略
+const fs = require('fs');
+const path = require('path');
+
+// 出生年份范围与默认年份（与 fetch_data.php 保持一致）
+const MIN_YEAR = 1960;
+const DEFAULT_YEAR = 2023;
+const DEFAULT_GDP_YEAR = 2024;
+// 目标年份缺失时最多回退的年数（与 fetch_data.php 的 $lifeOutcomeLookback 相同）
+const MAX_LOOKBACK_YEARS = 5;
+
+// 指标：mode 为 'year' 时取出生年份（缺失时取该国此前 MAX_LOOKBACK_YEARS 年内最近一年），
+// 'gdpYear' 取人均GDP年份（规则相同），'latest' 取各国最近一年的非空值
+const INDICATORS = {
+    birthRate: { code: 'SP.DYN.CBRT.IN', label: '出生率', mode: 'year', required: true },
+    population: { code: 'SP.POP.TOTL', label: '人口', mode: 'year', required: true },
+    gdpPerCapita: { code: 'NY.GDP.PCAP.CD', label: '人均GDP', mode: 'gdpYear' },
+    landArea: { code: 'AG.LND.TOTL.K2', label: '国土面积', mode: 'latest' },
+    netMigration: { code: 'SM.POP.NETM', label: '净迁移', mode: 'latest' },
+    lifeExpectancy: { code: 'SP.DYN.LE00.IN', label: '预期寿命', mode: 'year' },
+    under5Mortality: { code: 'SH.DYN.MORT', label: '五岁以下死亡率', mode: 'year' },
+    secondaryEnrollment: { code: 'SE.SEC.ENRR', label: '中学毛入学率', mode: 'year' },
+    electricityAccess: { code: 'EG.ELC.ACCS.ZS', label: '通电率', mode: 'year' },
+    sexRatioAtBirth: { code: 'SP.POP.BRTH.MF', label: '出生性别比', mode: 'year' },
+    urbanShare: { code: 'SP.URB.TOTL.IN.ZS', label: '城镇人口比例', mode: 'year' }
+};
+
+// 收入份额指标（与 fetch_data.php 的 $incomeShareIndicators 一致）
+const INCOME_SHARE_INDICATORS = {
+    first10: 'SI.DST.FRST.10',
+    first20: 'SI.DST.FRST.20',
+    second20: 'SI.DST.02ND.20',
+    third20: 'SI.DST.03RD.20',
+    fourth20: 'SI.DST.04TH.20',
+    fifth20: 'SI.DST.05TH.20',
+    top10: 'SI.DST.10TH.10'
+};
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const args = { dir: null, year: DEFAULT_YEAR, gdpYear: null, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--year') args.year = parseInt(argv[++i], 10);
+        else if (arg === '--gdp-year') args.gdpYear = parseInt(argv[++i], 10);
+        else if (arg === '--out') args.out = argv[++i];
+        else args.dir = arg;
+    }
+
+    if (!args.dir) {
+        throw new Error('请指定数据目录，用法: node build-data.js <数据目录> [--year 2023] [--gdp-year 2024] [--out data_cache.json]');
+    }
+    if (!(args.year >= MIN_YEAR && args.year <= DEFAULT_YEAR)) {
+        throw new Error(`年份必须在 ${MIN_YEAR} 到 ${DEFAULT_YEAR} 之间`);
+    }
+    // 默认年份使用最新一年的人均GDP数据，历史年份使用同一年的数据
+    args.gdpYear = args.gdpYear || (args.year === DEFAULT_YEAR ? DEFAULT_GDP_YEAR : args.year);
+    args.out = args.out || (args.year === DEFAULT_YEAR ? 'data_cache.json' : `data_cache_${args.year}.json`);
+    return args;
+}
+
+/**
+ * 把数值（字符串或数字）转为有限数字，空值返回 null
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * 记录一条指标数据：series 为 Map<指标代码, Map<ISO3, Map<年份, 数值>>>
+ */
+function addValue(series, code, iso3, year, value) {
+    if (!iso3 || !Number.isInteger(year) || value === null) return;
+    if (!series.has(code)) series.set(code, new Map());
+    const byCountry = series.get(code);
+    if (!byCountry.has(iso3)) byCountry.set(iso3, new Map());
+    byCountry.get(iso3).set(year, value);
+}
+
+/**
+ * 读取世界银行批量 CSV（宽表：每个年份一列），rows 为解析后的二维数组，返回是否识别为指标数据
+ */
+function readIndicatorCsv(rows, series) {
+    // 文件开头有几行说明，表头以 “Country Name” 开头
+    const headerIndex = rows.findIndex(row => row[0] === 'Country Name' && row.includes('Indicator Code'));
+    if (headerIndex < 0) return false;
+
+    const header = rows[headerIndex];
+    const codeColumn = header.indexOf('Country Code');
+    const indicatorColumn = header.indexOf('Indicator Code');
+    const yearColumns = header
+        .map((name, column) => ({ year: parseInt(name, 10), column }))
+        .filter(({ year }) => Number.isInteger(year));
+
+    rows.slice(headerIndex + 1).forEach(row => {
+        yearColumns.forEach(({ year, column }) => {
+            addValue(series, row[indicatorColumn], row[codeColumn], year, toNumber(row[column]));
+        });
+    });
+    return true;
+}
+
+/**
+ * 读取 JSON 文件：API 返回的 [元数据, 数据] 或数据数组
+ * 指标数据写入 series；国家元数据（含 iso2Code）写入 countries，返回识别出的类型
+ */
+function readJson(text, series, countries) {
+    const json = JSON.parse(text);
+    const items = Array.isArray(json) && Array.isArray(json[1]) ? json[1] : json;
+    if (!Array.isArray(items) || !items.length) return null;
+
+    if ('iso2Code' in items[0]) {
+        items.forEach(item => countries.set(item.id, item));
+        return 'metadata';
+    }
+    if (items[0].indicator && 'countryiso3code' in items[0]) {
+        items.forEach(item => {
+            addValue(series, item.indicator.id, item.countryiso3code, parseInt(item.date, 10), toNumber(item.value));
+        });
+        return 'indicator';
+    }
+    return null;
+}
+
+/**
+ * 取某国某指标的值
+ * targetYear 为 null 时取最近一年的非空值；否则取该年份，缺失时取此前 MAX_LOOKBACK_YEARS 年内最近一年的值
+ * 返回 { value, year }，没有数据时返回 null
+ */
+function pickValue(series, code, iso3, targetYear) {
+    const byYear = series.get(code)?.get(iso3);
+    if (!byYear) return null;
+
+    let best = null;
+    byYear.forEach((value, year) => {
+        if (targetYear !== null && (year > targetYear || year < targetYear - MAX_LOOKBACK_YEARS)) return;
+        if (!best || year > best.year) best = { value, year };
+    });
+    return best;
+}
+
+/**
+ * 记录一次回退：fallbacks 为 { 指标代码: { count, earliestYear } }，与 fetch_data.php 的 provenance.fallbacks 一致
+ */
+function addFallback(fallbacks, code, year) {
+    const fallback = fallbacks[code] || { count: 0, earliestYear: year };
+    fallback.count++;
+    fallback.earliestYear = Math.min(fallback.earliestYear, year);
+    fallbacks[code] = fallback;
+}
+
+/**
+ * 由五分位与首尾十分位份额计算十个十分位的收入份额（与 fetch_data.php 的 buildDecileShares 一致）
+ */
+function buildDecileShares(series, iso3) {
+    const shares = {};
+    for (const [key, code] of Object.entries(INCOME_SHARE_INDICATORS)) {
+        const picked = pickValue(series, code, iso3, null);
+        if (!picked) return null;
+        shares[key] = picked.value;
+    }
+
+    const second = shares.second20 / 2;
+    const third = shares.third20 / 2;
+    const fourth = shares.fourth20 / 2;
+    return [
+        shares.first10,
+        shares.first20 - shares.first10,
+        second, second,
+        third, third,
+        fourth, fourth,
+        shares.fifth20 - shares.top10,
+        shares.top10
+    ];
+}
+
+/**
+ * 保留 n 位小数（与 PHP 的 round 一致）
+ */
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const { isDrawableCountry } = await import('./lottery.js');
+    const { validatePayload } = await import('./schema.js');
+    const { parseCsv } = await import('./dataset.js');
+
+    // 1. 读取数据目录中的全部文件
+    const series = new Map();
+    const metadata = new Map();
+    fs.readdirSync(args.dir).sort().forEach(name => {
+        const file = path.join(args.dir, name);
+        const ext = path.extname(name).toLowerCase();
+        if (!fs.statSync(file).isFile() || !['.csv', '.json'].includes(ext)) return;
+
+        const text = fs.readFileSync(file, 'utf8');
+        const type = ext === '.csv'
+            ? (readIndicatorCsv(parseCsv(text.replace(/^\uFEFF/, '')), series) ? 'indicator' : null)
+            : readJson(text, series, metadata);
+        console.log(`${type ? '✅' : '⏭️ '} ${name}${type === 'metadata' ? '（国家元数据）' : type ? '' : '（已忽略）'}`);
+    });
+
+    if (!metadata.size) {
+        throw new Error('缺少国家元数据 JSON（https://api.worldbank.org/v2/country?format=json&per_page=400）');
+    }
+    Object.entries(INDICATORS).forEach(([field, { code, label, required }]) => {
+        if (series.has(code)) return;
+        if (required) throw new Error(`缺少${label}数据（${code}）`);
+        // 人均GDP与 fetch_data.php 一致，缺失时写为 0（前端视为暂无数据）
+        const fallback = field === 'gdpPerCapita' ? '0（显示为“暂无数据”）' : 'null';
+        console.warn(`⚠️  缺少${label}数据（${code}），该字段将为 ${fallback}`);
+    });
+
+    // 2. 合并数据：聚合区域由元数据的 “Aggregates” 地区识别，与 app.js 的抽签范围（isDrawableCountry）一致
+    const targetYears = { year: args.year, gdpYear: args.gdpYear, latest: null };
+    const dropped = { missingBirthRate: 0, missingPopulation: 0, missingMetadata: 0, noBirths: 0, aggregates: 0 };
+    const fallbacks = {};
+    const merged = [];
+    let totalWeight = 0;
+
+    const iso3Codes = new Set([...metadata.keys(), ...(series.get(INDICATORS.birthRate.code)?.keys() || [])]);
+    iso3Codes.forEach(iso3 => {
+        const meta = metadata.get(iso3);
+        if (!meta) {
+            dropped.missingMetadata++;
+            return;
+        }
+
+        const country = {
+            id: iso3,
+            name: meta.name || '',
+            iso2: meta.iso2Code || '',
+            region: (meta.region?.value || '').trim(),
+            incomeLevel: (meta.incomeLevel?.value || '').trim(),
+            capital: meta.capitalCity || '',
+            longitude: meta.longitude || '',
+            latitude: meta.latitude || ''
+        };
+        if (!isDrawableCountry(country)) {
+            dropped.aggregates++;
+            return;
+        }
+
+        const values = {};
+        const fallbackYears = {};
+        Object.entries(INDICATORS).forEach(([field, { code, mode }]) => {
+            const picked = pickValue(series, code, iso3, targetYears[mode]);
+            values[field] = picked ? picked.value : null;
+            if (picked && targetYears[mode] !== null && picked.year !== targetYears[mode]) {
+                fallbackYears[code] = picked.year;
+            }
+        });
+
+        if (values.birthRate === null) {
+            dropped.missingBirthRate++;
+            return;
+        }
+        if (values.population === null) {
+            dropped.missingPopulation++;
+            return;
+        }
+
+        // 计算出生数（权重），与 fetch_data.php 相同
+        const births = (values.birthRate * values.population) / 1000;
+        if (!(births > 0 && values.population > 0)) {
+            dropped.noBirths++;
+            return;
+        }
+
+        merged.push({
+            ...country,
+            birthRate: round(values.birthRate, 2),
+            population: values.population,
+            gdpPerCapita: round(values.gdpPerCapita ?? 0, 2),
+            landArea: values.landArea,
+            netMigration: values.netMigration,
+            lifeExpectancy: values.lifeExpectancy,
+            under5Mortality: values.under5Mortality,
+            secondaryEnrollment: values.secondaryEnrollment,
+            electricityAccess: values.electricityAccess,
+            sexRatioAtBirth: values.sexRatioAtBirth,
+            urbanShare: values.urbanShare,
+            incomeShares: buildDecileShares(series, iso3),
+            births: Math.round(births),
+            weight: births
+        });
+        totalWeight += births;
+        Object.entries(fallbackYears).forEach(([code, year]) => addFallback(fallbacks, code, year));
+    });
+
+    // 3. 计算概率并按出生数排序
+    merged.forEach(country => {
+        country.probability = round(country.weight / totalWeight * 100, 6);
+    });
+    merged.sort((a, b) => b.births - a.births);
+
+    const output = {
+        success: true,
+        timestamp: Math.floor(Date.now() / 1000),
+        dataYear: {
+            birthRate: args.year,
+            population: args.year,
+            gdp: args.gdpYear
+        },
+        totalCountries: merged.length,
+        totalBirths: Math.round(totalWeight),
+        provenance: {
+            source: 'build',
+            indicators: [
+                ...Object.values(INDICATORS).map(({ code, label, mode }) => ({ code, label, year: targetYears[mode] })),
+                { code: 'SI.DST.*', label: '收入份额', year: null }
+            ],
+            mergedCountries: merged.length,
+            dropped,
+            // 目标年份缺失、改用此前年份数据的国家数与最早使用的年份（按指标，只统计合并的国家）
+            fallbacks
+        },
+        countries: merged
+    };
+
+    // 4. 用前端的校验规则检查输出，确保 app.js 可以直接使用
+    const { report } = validatePayload(output);
+    if (report.dropped.length) {
+        throw new Error(`生成的数据有 ${report.dropped.length} 条记录未通过校验: ${JSON.stringify(report.dropped.slice(0, 5))}`);
+    }
+
+    fs.writeFileSync(args.out, JSON.stringify(output, null, 4));
+
+    console.log(`\n合并 ${merged.length} 个国家/地区，出生人数合计 ${Math.round(totalWeight).toLocaleString()}`);
+    console.log('未合并:', dropped);
+    Object.entries(fallbacks).forEach(([code, { count, earliestYear }]) => {
+        console.log(`↩️  ${code}: ${count} 个国家使用了此前年份的数据（最早 ${earliestYear} 年）`);
+    });
+    console.log(`已写入 ${args.out}`);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
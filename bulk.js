@@ -0,0 +1,72 @@
+/**
+ * 抽签结果汇总
+ * 把一组抽签结果（十连抽或批量抽签）聚合为按国家、地区、收入水平的命中次数与人均GDP统计，
+ * 批量抽签据此只渲染汇总而不逐条渲染
+ */
+
+// 可选的批量抽签次数
+export const BULK_DRAW_SIZES = [50, 100, 1000];
+// 默认的批量抽签次数
+export const DEFAULT_BULK_DRAW_SIZE = 100;
+
+/**
+ * 中位数（输入为数值数组），空数组返回 null
+ */
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * 按键统计命中次数，返回按次数降序排列的 [{ key, item, count }]
+ */
+function countBy(results, getKey) {
+    const counts = new Map();
+    results.forEach(result => {
+        const key = getKey(result);
+        const entry = counts.get(key);
+        if (entry) {
+            entry.count++;
+        } else {
+            counts.set(key, { key, item: result, count: 1 });
+        }
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * 汇总一组抽签结果
+ * 人均GDP统计按抽签次数计算（同一国家抽中多次会计入多次），人均GDP缺失的结果不计入
+ */
+export function summarizeDraws(results) {
+    const gdps = results.map(r => r.gdpPerCapita).filter(gdp => gdp > 0);
+
+    const countries = countBy(results, r => r.iso2)
+        .map(({ item, count }) => ({ country: item, count, share: count / results.length }));
+    const regions = countBy(results, r => (r.region || '').trim() || '未知')
+        .map(({ key, count }) => ({ region: key, count, share: count / results.length }));
+    const incomeLevels = countBy(results, r => (r.incomeLevel || '').trim() || '未知')
+        .map(({ key, count }) => ({ incomeLevel: key, count, share: count / results.length }));
+
+    const rarest = results.reduce((min, r) => (!min || r.probability < min.probability ? r : min), null);
+    const withGdp = results.filter(r => r.gdpPerCapita > 0);
+    const best = withGdp.reduce((max, r) => (!max || r.gdpPerCapita > max.gdpPerCapita ? r : max), null);
+    const worst = withGdp.reduce((min, r) => (!min || r.gdpPerCapita < min.gdpPerCapita ? r : min), null);
+
+    return {
+        total: results.length,
+        countries,
+        regions,
+        incomeLevels,
+        // 抽中不止一次的国家
+        duplicates: countries.filter(row => row.count > 1),
+        averageGdp: gdps.length ? gdps.reduce((sum, gdp) => sum + gdp, 0) / gdps.length : null,
+        medianGdp: median(gdps),
+        rarest,
+        // 人均GDP最高 / 最低的结果（人均GDP缺失时为 null）
+        best,
+        worst
+    };
+}
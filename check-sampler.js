@@ -0,0 +1,90 @@
+// 检查别名抽样器的经验频率是否与 probability 一致
+// 用法: node check-sampler.js
+const fs = require('fs');
+
+async function main() {
+    const { AliasSampler } = await import('./sampler.js');
+    const { createRandom } = await import('./random.js');
+
+    // 读取数据
+    const data = JSON.parse(fs.readFileSync('data_cache.json', 'utf8'));
+
+    // 统计真实国家(非聚合数据)，与 app.js 的抽签范围一致
+    const realCountries = data.countries.filter(c =>
+        c.region !== 'Aggregates' &&
+        c.iso2 &&
+        c.iso2.length === 2 &&
+        c.iso2.match(/^[A-Z]{2}$/)
+    );
+
+    let failures = 0;
+    const check = (ok, message) => {
+        console.log(`${ok ? '✅' : '❌'} ${message}`);
+        if (!ok) failures++;
+    };
+
+    // 统计频率，并检查每个国家的偏差是否在 5 个标准差以内
+    // 期望次数不足 10 次的小国不适用正态近似，只检查权重为 0 的国家不被抽中
+    const checkFrequencies = (label, draws, expectedOf) => {
+        const counts = new Map();
+        draws.forEach(c => counts.set(c, (counts.get(c) || 0) + 1));
+
+        const n = draws.length;
+        let worst = { z: 0, country: null };
+        realCountries.forEach(c => {
+            const p = expectedOf(c);
+            if (p <= 0) {
+                if (counts.has(c)) worst = { z: Infinity, country: c };
+                return;
+            }
+            if (n * p < 10) return;
+            const observed = (counts.get(c) || 0) / n;
+            const z = Math.abs(observed - p) / Math.sqrt(p * (1 - p) / n);
+            if (z > worst.z) worst = { z, country: c };
+        });
+
+        check(worst.z < 5, `${label}: 最大偏差 ${worst.z.toFixed(2)}σ (${worst.country ? worst.country.name : '-'})`);
+    };
+
+    const random = createRandom('check-sampler', data.timestamp);
+    const sampler = new AliasSampler(realCountries, c => c.births);
+    const N = 2000000;
+
+    // 1. 全量抽样：经验频率与 fetch_data.php 的 probability 一致
+    const totalBirths = realCountries.reduce((sum, c) => sum + c.births, 0);
+    const probabilitySum = realCountries.reduce((sum, c) => sum + c.probability, 0);
+    checkFrequencies(
+        `全量抽样 ${N.toLocaleString()} 次`,
+        sampler.drawMany(random, N),
+        c => (c.probability / probabilitySum)
+    );
+    check(
+        realCountries.every(c => Math.abs(sampler.probabilityOf(c) - c.births / totalBirths) < 1e-12),
+        '别名表概率与出生人数占比一致'
+    );
+
+    // 2. 筛选池：池内重新归一化
+    const pool = sampler.subset(c => c.region.trim() === 'Sub-Saharan Africa');
+    const poolBirths = pool.items.reduce((sum, c) => sum + c.births, 0);
+    checkFrequencies(
+        `撒哈拉以南非洲池抽样 ${N.toLocaleString()} 次`,
+        pool.drawMany(random, N),
+        c => (pool.items.includes(c) ? c.births / poolBirths : 0)
+    );
+
+    // 3. 无放回抽样：不重复，且首抽频率仍符合权重
+    const batches = Array.from({ length: 20000 }, () => sampler.drawWithoutReplacement(random, 10));
+    check(
+        batches.every(batch => batch.length === 10 && new Set(batch).size === 10),
+        '无放回抽样 20,000 组 × 10 次无重复'
+    );
+    checkFrequencies('无放回抽样首抽', batches.map(batch => batch[0]), c => c.births / totalBirths);
+
+    const everything = sampler.drawWithoutReplacement(random, realCountries.length + 10);
+    check(everything.length === realCountries.length, '无放回抽样数量不超过池大小');
+
+    console.log(failures ? `\n${failures} 项检查失败` : '\n全部检查通过');
+    process.exitCode = failures ? 1 : 0;
+}
+
+main();
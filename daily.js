@@ -0,0 +1,40 @@
+/**
+ * 每日挑战
+ * 以当天日期派生种子：同一天、同一数据版本下所有人抽到的结果相同
+ * 日期按 UTC 计算，不同时区的用户在同一时刻拿到同一个“今天”
+ */
+
+/**
+ * 获取日期键（UTC 日期，YYYY-MM-DD）
+ */
+export function getDailyKey(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+/**
+ * 由日期键派生种子
+ */
+export function getDailySeed(dailyKey) {
+    return `daily-${dailyKey}`;
+}
+
+/**
+ * 距离明天 UTC 0 点的毫秒数
+ */
+export function getMsUntilTomorrow(now = new Date()) {
+    const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return tomorrow - now;
+}
+
+/**
+ * 格式化倒计时，如 “05:12:33”
+ */
+export function formatCountdown(ms) {
+    const totalSeconds = Math.max(Math.floor(ms / 1000), 0);
+    const pad = n => String(n).padStart(2, '0');
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+}
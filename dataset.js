@@ -0,0 +1,232 @@
+/**
+ * 自定义数据集
+ * 解析用户导入的 CSV 或 JSON（每行一个国家/地区：ISO2 代码与权重，可选人均GDP与出生率），
+ * 校验后生成与 fetch_data.php 结构一致的数据，供本次会话的抽签与地图使用
+ */
+
+// 各字段可接受的列名（不区分大小写，忽略空格、下划线与连字符）
+const COLUMN_ALIASES = {
+    iso2: ['iso2', 'iso', 'code', 'countrycode', 'iso2code'],
+    weight: ['weight', 'births', 'value', 'count'],
+    gdpPerCapita: ['gdp', 'gdppercapita'],
+    birthRate: ['rate', 'birthrate']
+};
+
+// 可导入的列在数据来源面板中的名称
+const CUSTOM_INDICATORS = {
+    weight: '自定义权重',
+    gdpPerCapita: '人均GDP（自定义）',
+    birthRate: '出生率（自定义）'
+};
+
+// 最多导入的行数
+export const MAX_DATASET_ROWS = 1000;
+
+/**
+ * 解析 CSV 文本（支持引号包裹与转义的双引号），返回二维数组
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * 规范化列名，如 “GDP Per Capita” -> “gdppercapita”
+ */
+function normalizeColumn(name) {
+    return String(name).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+/**
+ * 把一行原始数据按列名映射到字段
+ */
+function mapColumns(record) {
+    const mapped = {};
+    Object.entries(record).forEach(([column, value]) => {
+        const key = normalizeColumn(column);
+        const field = Object.keys(COLUMN_ALIASES).find(f => COLUMN_ALIASES[f].includes(key));
+        if (field && !(field in mapped)) mapped[field] = value;
+    });
+    return mapped;
+}
+
+/**
+ * 读取文件内容为行对象数组
+ * JSON 可以是对象数组，或包含 countries 数组的对象；其余按 CSV 解析（第一行为表头）
+ */
+export function parseDatasetFile(text, fileName = '') {
+    const content = text.replace(/^\uFEFF/, '').trim();
+    if (!content) throw new Error('文件为空');
+
+    if (/\.json$/i.test(fileName) || /^[[{]/.test(content)) {
+        let json;
+        try {
+            json = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`JSON 格式错误: ${error.message}`);
+        }
+        const records = Array.isArray(json) ? json : json && json.countries;
+        if (!Array.isArray(records)) throw new Error('JSON 需要是对象数组，或包含 countries 数组的对象');
+        return records;
+    }
+
+    const [header, ...rows] = parseCsv(content).filter(row => row.some(cell => cell.trim() !== ''));
+    if (!header || !rows.length) throw new Error('CSV 需要包含表头和至少一行数据');
+    return rows.map(row => Object.fromEntries(header.map((column, i) => [column.trim(), row[i]])));
+}
+
+/**
+ * 转为数字：空值返回 undefined，无效值返回 NaN
+ */
+function parseNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return undefined;
+    return Number(String(value).trim());
+}
+
+/**
+ * 由行对象构建自定义数据集
+ * 基础数据中已有的国家沿用其名称、地区、首都等信息，导入的权重、人均GDP与出生率覆盖原值；
+ * 无效的行会被跳过并记录在校验报告中。没有任何有效行时抛出错误
+ * 返回 { data, report }，结构与 validatePayload 的返回值一致
+ */
+export function buildCustomDataset(records, baseData, name) {
+    if (records.length > MAX_DATASET_ROWS) {
+        throw new Error(`最多导入 ${MAX_DATASET_ROWS} 行，当前文件有 ${records.length} 行`);
+    }
+
+    const baseCountries = new Map(baseData.countries.map(c => [c.iso2, c]));
+    const countries = [];
+    const dropped = [];
+    const seen = new Set();
+
+    records.forEach((record, index) => {
+        const row = record && typeof record === 'object' ? mapColumns(record) : {};
+        const iso2 = String(row.iso2 ?? '').trim().toUpperCase();
+        const weight = parseNumber(row.weight);
+        const gdp = parseNumber(row.gdpPerCapita);
+        const rate = parseNumber(row.birthRate);
+        const reasons = [];
+
+        const validIso2 = /^[A-Z]{2}$/.test(iso2);
+        const base = baseCountries.get(iso2);
+
+        // 原因中不回显单元格内容（文件内容来自用户，会被渲染到页面上）
+        if (!validIso2) reasons.push('ISO2 代码无效，应为两位字母');
+        else if (seen.has(iso2)) reasons.push(`ISO2 代码重复: ${iso2}`);
+        if (weight === undefined) reasons.push('缺少权重');
+        else if (!(weight > 0)) reasons.push('权重必须是正数');
+        if (gdp !== undefined && !(gdp >= 0)) reasons.push('人均GDP必须是非负数');
+        if (rate !== undefined && !(rate >= 0)) reasons.push('出生率必须是非负数');
+
+        if (reasons.length) {
+            // 行号从表头之后的第 1 行算起
+            dropped.push({
+                index: index + 1,
+                id: validIso2 ? iso2 : '',
+                name: base ? base.name : '',
+                reasons
+            });
+            return;
+        }
+        seen.add(iso2);
+
+        countries.push({
+            ...(base || {
+                id: iso2,
+                region: '',
+                incomeLevel: '',
+                capital: '',
+                longitude: null,
+                latitude: null,
+                population: null,
+                gdpPerCapita: null,
+                birthRate: null
+            }),
+            iso2,
+            name: base ? base.name : iso2,
+            ...(gdp !== undefined && { gdpPerCapita: gdp > 0 ? gdp : null }),
+            ...(rate !== undefined && { birthRate: rate > 0 ? rate : null }),
+            // 导入的权重作为出生人数，按出生人数权重模式抽签
+            births: weight,
+            weight
+        });
+    });
+
+    const totalWeight = countries.reduce((sum, c) => sum + c.weight, 0);
+    if (!(totalWeight > 0)) {
+        throw new Error(dropped.length
+            ? `没有有效的数据行（${dropped.length} 行无效，第一处错误: ${dropped[0].reasons[0]}）`
+            : '没有有效的数据行');
+    }
+
+    // 重新计算概率，按权重从大到小排序
+    countries.forEach(c => {
+        c.probability = c.weight / totalWeight * 100;
+    });
+    countries.sort((a, b) => b.weight - a.weight);
+
+    // 导入了哪些列，在数据来源面板中列出
+    const columns = new Set(records.flatMap(record => Object.keys(mapColumns(record || {}))));
+    const indicators = Object.keys(CUSTOM_INDICATORS)
+        .filter(field => columns.has(field))
+        .map(field => ({ code: field, label: CUSTOM_INDICATORS[field], year: null }));
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    return {
+        data: {
+            success: true,
+            timestamp,
+            dataYear: baseData.dataYear,
+            totalCountries: countries.length,
+            totalBirths: Math.round(totalWeight),
+            custom: { name },
+            provenance: {
+                source: 'custom',
+                indicators,
+                mergedCountries: countries.length,
+                // 无效行记录在 report.dropped 中
+                dropped: {}
+            },
+            countries
+        },
+        report: {
+            total: records.length,
+            dropped,
+            missing: {}
+        }
+    };
+}
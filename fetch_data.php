@@ -10,14 +10,42 @@ header('Content-Type: application/json; charset=utf-8');
 header('Access-Control-Allow-Origin: *');
 header('Access-Control-Allow-Methods: GET');
 
-// 数据缓存文件路径
-$cacheFile = 'data_cache.json';
+// 出生年份范围（世界银行数据从1960年开始）
+$minYear = 1960;
+$defaultYear = 2023;
+// 默认年份使用最新一年的人均GDP数据，历史年份使用同一年的数据
+$defaultGdpYear = 2024;
+
+$year = isset($_GET['year']) ? intval($_GET['year']) : $defaultYear;
+if ($year < $minYear || $year > $defaultYear) {
+    http_response_code(400);
+    echo json_encode([
+        'success' => false,
+        'error' => "年份必须在 $minYear 到 $defaultYear 之间"
+    ], JSON_UNESCAPED_UNICODE);
+    exit;
+}
+$gdpYear = $year === $defaultYear ? $defaultGdpYear : $year;
+// 中学毛入学率与通电率覆盖不全：出生年份缺失时最多回退到此前几年的数据
+$lifeOutcomeLookback = 5;
+$lifeOutcomeFromYear = $year - $lifeOutcomeLookback;
+
+// 数据缓存文件路径（每个年份单独缓存）
+$cacheFile = $year === $defaultYear ? 'data_cache.json' : "data_cache_$year.json";
 $cacheTime = 86400; // 缓存24小时
 
-// 检查缓存是否有效
+// 检查缓存是否有效，命中缓存时把实时获取的数据标记为 cache（build-data.js 离线构建的数据保留 build）
 if (file_exists($cacheFile) && (time() - filemtime($cacheFile) < $cacheTime)) {
-    echo file_get_contents($cacheFile);
-    exit;
+    $cached = json_decode(file_get_contents($cacheFile), true);
+    if (is_array($cached)) {
+        $provenance = $cached['provenance'] ?? [];
+        if (($provenance['source'] ?? 'live') === 'live') {
+            $provenance['source'] = 'cache';
+        }
+        $cached['provenance'] = $provenance;
+        echo json_encode($cached, JSON_UNESCAPED_UNICODE | JSON_PRETTY_PRINT);
+        exit;
+    }
 }
 
 /**
@@ -64,23 +92,154 @@ function parseWorldBankData($jsonData) {
     return $data[1];
 }
 
+/**
+ * 由五分位与首尾十分位份额计算十个十分位的收入份额（百分比，从最低到最高）
+ * 中间的五分位平均拆分为两个十分位；任一指标缺失时返回 null
+ */
+function buildDecileShares($indexes, $countryId) {
+    foreach ($indexes as $index) {
+        if (!isset($index[$countryId])) {
+            return null;
+        }
+    }
+
+    $second = $indexes['second20'][$countryId] / 2;
+    $third = $indexes['third20'][$countryId] / 2;
+    $fourth = $indexes['fourth20'][$countryId] / 2;
+
+    return [
+        $indexes['first10'][$countryId],
+        $indexes['first20'][$countryId] - $indexes['first10'][$countryId],
+        $second, $second,
+        $third, $third,
+        $fourth, $fourth,
+        $indexes['fifth20'][$countryId] - $indexes['top10'][$countryId],
+        $indexes['top10'][$countryId]
+    ];
+}
+
+/**
+ * 将指标数据按 ISO3 代码建立索引，忽略空值
+ */
+function buildIndicatorIndex($items) {
+    $index = [];
+    foreach ($items as $item) {
+        if (isset($item['countryiso3code']) && $item['value'] !== null) {
+            $index[$item['countryiso3code']] = floatval($item['value']);
+        }
+    }
+    return $index;
+}
+
+/**
+ * 将一段年份范围内的指标数据按 ISO3 代码建立索引，每个国家取最近一年的非空值
+ * $years 记录各国实际使用的年份
+ */
+function buildRecentIndicatorIndex($items, &$years) {
+    $index = [];
+    $years = [];
+    foreach ($items as $item) {
+        if (!isset($item['countryiso3code']) || $item['value'] === null) {
+            continue;
+        }
+        $countryId = $item['countryiso3code'];
+        $itemYear = intval($item['date']);
+        if (!isset($years[$countryId]) || $itemYear > $years[$countryId]) {
+            $index[$countryId] = floatval($item['value']);
+            $years[$countryId] = $itemYear;
+        }
+    }
+    return $index;
+}
+
+/**
+ * 统计合并后的国家中改用此前年份数据的数量与最早使用的年份
+ */
+function summarizeFallback($years, $targetYear, $mergedData) {
+    $count = 0;
+    $earliestYear = null;
+    foreach ($mergedData as $country) {
+        $usedYear = $years[$country['id']] ?? null;
+        if ($usedYear !== null && $usedYear < $targetYear) {
+            $count++;
+            $earliestYear = $earliestYear === null ? $usedYear : min($earliestYear, $usedYear);
+        }
+    }
+    return ['count' => $count, 'earliestYear' => $earliestYear];
+}
+
 try {
-    // 1. 获取2023年出生率数据
-    $birthRateUrl = 'https://api.worldbank.org/v2/country/all/indicator/SP.DYN.CBRT.IN?format=json&date=2023:2023&per_page=20000';
+    // 1. 获取出生年份的出生率数据
+    $birthRateUrl = "https://api.worldbank.org/v2/country/all/indicator/SP.DYN.CBRT.IN?format=json&date=$year:$year&per_page=20000";
     $birthRateResponse = fetchFromAPI($birthRateUrl);
     $birthRateData = parseWorldBankData($birthRateResponse);
 
-    // 2. 获取2023年人口数据
-    $populationUrl = 'https://api.worldbank.org/v2/country/all/indicator/SP.POP.TOTL?format=json&date=2023:2023&per_page=20000';
+    // 2. 获取出生年份的人口数据
+    $populationUrl = "https://api.worldbank.org/v2/country/all/indicator/SP.POP.TOTL?format=json&date=$year:$year&per_page=20000";
     $populationResponse = fetchFromAPI($populationUrl);
     $populationData = parseWorldBankData($populationResponse);
 
-    // 3. 获取2024年人均GDP数据
-    $gdpUrl = 'https://api.worldbank.org/v2/country/all/indicator/NY.GDP.PCAP.CD?format=json&date=2024:2024&per_page=20000';
+    // 3. 获取人均GDP数据
+    $gdpUrl = "https://api.worldbank.org/v2/country/all/indicator/NY.GDP.PCAP.CD?format=json&date=$gdpYear:$gdpYear&per_page=20000";
     $gdpResponse = fetchFromAPI($gdpUrl);
     $gdpData = parseWorldBankData($gdpResponse);
 
-    // 4. 获取国家元数据
+    // 4. 获取国土面积数据（平方公里，取各国最近一年的非空值）
+    $landAreaUrl = 'https://api.worldbank.org/v2/country/all/indicator/AG.LND.TOTL.K2?format=json&mrnev=1&per_page=20000';
+    $landAreaResponse = fetchFromAPI($landAreaUrl);
+    $landAreaData = parseWorldBankData($landAreaResponse);
+
+    // 5. 获取净迁移人数数据（取各国最近一年的非空值）
+    $netMigrationUrl = 'https://api.worldbank.org/v2/country/all/indicator/SM.POP.NETM?format=json&mrnev=1&per_page=20000';
+    $netMigrationResponse = fetchFromAPI($netMigrationUrl);
+    $netMigrationData = parseWorldBankData($netMigrationResponse);
+
+    // 6. 获取出生年份的预期寿命与五岁以下死亡率数据
+    $lifeExpectancyUrl = "https://api.worldbank.org/v2/country/all/indicator/SP.DYN.LE00.IN?format=json&date=$year:$year&per_page=20000";
+    $lifeExpectancyResponse = fetchFromAPI($lifeExpectancyUrl);
+    $lifeExpectancyData = parseWorldBankData($lifeExpectancyResponse);
+
+    $under5MortalityUrl = "https://api.worldbank.org/v2/country/all/indicator/SH.DYN.MORT?format=json&date=$year:$year&per_page=20000";
+    $under5MortalityResponse = fetchFromAPI($under5MortalityUrl);
+    $under5MortalityData = parseWorldBankData($under5MortalityResponse);
+
+    // 7. 获取出生年份的中学毛入学率与通电率数据（覆盖不全，缺失时在回退窗口内取此前最近一年的非空值）
+    $secondaryEnrollmentUrl = "https://api.worldbank.org/v2/country/all/indicator/SE.SEC.ENRR?format=json&date=$lifeOutcomeFromYear:$year&per_page=20000";
+    $secondaryEnrollmentResponse = fetchFromAPI($secondaryEnrollmentUrl);
+    $secondaryEnrollmentData = parseWorldBankData($secondaryEnrollmentResponse);
+
+    $electricityAccessUrl = "https://api.worldbank.org/v2/country/all/indicator/EG.ELC.ACCS.ZS?format=json&date=$lifeOutcomeFromYear:$year&per_page=20000";
+    $electricityAccessResponse = fetchFromAPI($electricityAccessUrl);
+    $electricityAccessData = parseWorldBankData($electricityAccessResponse);
+
+    // 8. 获取出生年份的出生性别比数据（男婴/女婴）
+    $sexRatioUrl = "https://api.worldbank.org/v2/country/all/indicator/SP.POP.BRTH.MF?format=json&date=$year:$year&per_page=20000";
+    $sexRatioResponse = fetchFromAPI($sexRatioUrl);
+    $sexRatioData = parseWorldBankData($sexRatioResponse);
+
+    // 9. 获取出生年份的城镇人口比例数据
+    $urbanShareUrl = "https://api.worldbank.org/v2/country/all/indicator/SP.URB.TOTL.IN.ZS?format=json&date=$year:$year&per_page=20000";
+    $urbanShareResponse = fetchFromAPI($urbanShareUrl);
+    $urbanShareData = parseWorldBankData($urbanShareResponse);
+
+    // 10. 获取收入份额数据（按十分位/五分位，覆盖不全，取各国最近一年的非空值）
+    $incomeShareIndicators = [
+        'first10' => 'SI.DST.FRST.10',
+        'first20' => 'SI.DST.FRST.20',
+        'second20' => 'SI.DST.02ND.20',
+        'third20' => 'SI.DST.03RD.20',
+        'fourth20' => 'SI.DST.04TH.20',
+        'fifth20' => 'SI.DST.05TH.20',
+        'top10' => 'SI.DST.10TH.10'
+    ];
+    $incomeShareIndexes = [];
+    foreach ($incomeShareIndicators as $key => $indicator) {
+        $incomeShareUrl = "https://api.worldbank.org/v2/country/all/indicator/$indicator?format=json&mrnev=1&per_page=20000";
+        $incomeShareResponse = fetchFromAPI($incomeShareUrl);
+        $incomeShareIndexes[$key] = buildIndicatorIndex(parseWorldBankData($incomeShareResponse));
+    }
+
+    // 11. 获取国家元数据
     $countryUrl = 'https://api.worldbank.org/v2/country?format=json&per_page=400';
     $countryResponse = fetchFromAPI($countryUrl);
     $countryMetadata = parseWorldBankData($countryResponse);
@@ -102,46 +261,62 @@ try {
     }
     
     // 创建数据索引（使用 ISO3 代码作为键）
-    $birthRateIndex = [];
-    foreach ($birthRateData as $item) {
-        if (isset($item['countryiso3code']) && $item['value'] !== null) {
-            $birthRateIndex[$item['countryiso3code']] = floatval($item['value']);
-        }
-    }
-
-    $populationIndex = [];
-    foreach ($populationData as $item) {
-        if (isset($item['countryiso3code']) && $item['value'] !== null) {
-            $populationIndex[$item['countryiso3code']] = floatval($item['value']);
-        }
-    }
-
-    $gdpIndex = [];
-    foreach ($gdpData as $item) {
-        if (isset($item['countryiso3code']) && $item['value'] !== null) {
-            $gdpIndex[$item['countryiso3code']] = floatval($item['value']);
-        }
-    }
+    $birthRateIndex = buildIndicatorIndex($birthRateData);
+    $populationIndex = buildIndicatorIndex($populationData);
+    $gdpIndex = buildIndicatorIndex($gdpData);
+    $landAreaIndex = buildIndicatorIndex($landAreaData);
+    $netMigrationIndex = buildIndicatorIndex($netMigrationData);
+    $lifeExpectancyIndex = buildIndicatorIndex($lifeExpectancyData);
+    $under5MortalityIndex = buildIndicatorIndex($under5MortalityData);
+    $secondaryEnrollmentIndex = buildRecentIndicatorIndex($secondaryEnrollmentData, $secondaryEnrollmentYears);
+    $electricityAccessIndex = buildRecentIndicatorIndex($electricityAccessData, $electricityAccessYears);
+    $sexRatioIndex = buildIndicatorIndex($sexRatioData);
+    $urbanShareIndex = buildIndicatorIndex($urbanShareData);
     
     // 合并数据
     $mergedData = [];
     $totalWeight = 0;
 
+    // 因缺少数据而未合并的国家数（按原因统计，聚合区域单独计数）
+    $droppedCounts = [
+        'missingBirthRate' => 0,
+        'missingPopulation' => 0,
+        'missingMetadata' => 0,
+        'noBirths' => 0,
+        'aggregates' => 0
+    ];
+    foreach ($countryMap as $countryId => $meta) {
+        if ($meta['region'] !== 'Aggregates' && !isset($birthRateIndex[$countryId])) {
+            $droppedCounts['missingBirthRate']++;
+        }
+    }
+
     // 调试信息
     $debugInfo = [
         'birthRateCount' => count($birthRateIndex),
         'populationCount' => count($populationIndex),
         'gdpCount' => count($gdpIndex),
+        'landAreaCount' => count($landAreaIndex),
+        'netMigrationCount' => count($netMigrationIndex),
+        'lifeExpectancyCount' => count($lifeExpectancyIndex),
+        'under5MortalityCount' => count($under5MortalityIndex),
+        'secondaryEnrollmentCount' => count($secondaryEnrollmentIndex),
+        'electricityAccessCount' => count($electricityAccessIndex),
+        'sexRatioCount' => count($sexRatioIndex),
+        'urbanShareCount' => count($urbanShareIndex),
+        'incomeShareCount' => count($incomeShareIndexes['top10']),
         'countryMapCount' => count($countryMap)
     ];
 
     foreach ($birthRateIndex as $countryId => $birthRate) {
         // 只处理有完整数据的国家
         if (!isset($populationIndex[$countryId])) {
+            $droppedCounts['missingPopulation']++;
             continue;
         }
 
         if (!isset($countryMap[$countryId])) {
+            $droppedCounts['missingMetadata']++;
             continue;
         }
 
@@ -154,6 +329,7 @@ try {
         // 跳过聚合数据（如世界、地区等）
         // 允许两位字符的 ISO2 代码
         if (empty($iso2Code) || strlen($iso2Code) > 2) {
+            $droppedCounts['aggregates']++;
             continue;
         }
 
@@ -175,6 +351,7 @@ try {
         }
 
         if ($isAggregate) {
+            $droppedCounts['aggregates']++;
             continue;
         }
 
@@ -195,11 +372,22 @@ try {
                 'birthRate' => round($birthRate, 2),
                 'population' => $population,
                 'gdpPerCapita' => round($gdp, 2),
+                'landArea' => $landAreaIndex[$countryId] ?? null,
+                'netMigration' => $netMigrationIndex[$countryId] ?? null,
+                'lifeExpectancy' => $lifeExpectancyIndex[$countryId] ?? null,
+                'under5Mortality' => $under5MortalityIndex[$countryId] ?? null,
+                'secondaryEnrollment' => $secondaryEnrollmentIndex[$countryId] ?? null,
+                'electricityAccess' => $electricityAccessIndex[$countryId] ?? null,
+                'sexRatioAtBirth' => $sexRatioIndex[$countryId] ?? null,
+                'urbanShare' => $urbanShareIndex[$countryId] ?? null,
+                'incomeShares' => buildDecileShares($incomeShareIndexes, $countryId),
                 'births' => round($births, 0),
                 'weight' => $births
             ];
 
             $totalWeight += $births;
+        } else {
+            $droppedCounts['noBirths']++;
         }
     }
     
@@ -220,12 +408,37 @@ try {
         'success' => true,
         'timestamp' => time(),
         'dataYear' => [
-            'birthRate' => 2023,
-            'population' => 2023,
-            'gdp' => 2024
+            'birthRate' => $year,
+            'population' => $year,
+            'gdp' => $gdpYear
         ],
         'totalCountries' => count($mergedData),
         'totalBirths' => round($totalWeight, 0),
+        // 数据来源：各指标代码与年份（year 为 null 表示取各国最近一年的非空值）、获取方式与合并情况；
+        // fallbacks 记录出生年份缺失、改用此前年份数据的国家数与最早使用的年份（按指标）
+        'provenance' => [
+            'source' => 'live',
+            'indicators' => [
+                ['code' => 'SP.DYN.CBRT.IN', 'label' => '出生率', 'year' => $year],
+                ['code' => 'SP.POP.TOTL', 'label' => '人口', 'year' => $year],
+                ['code' => 'NY.GDP.PCAP.CD', 'label' => '人均GDP', 'year' => $gdpYear],
+                ['code' => 'AG.LND.TOTL.K2', 'label' => '国土面积', 'year' => null],
+                ['code' => 'SM.POP.NETM', 'label' => '净迁移', 'year' => null],
+                ['code' => 'SP.DYN.LE00.IN', 'label' => '预期寿命', 'year' => $year],
+                ['code' => 'SH.DYN.MORT', 'label' => '五岁以下死亡率', 'year' => $year],
+                ['code' => 'SE.SEC.ENRR', 'label' => '中学毛入学率', 'year' => $year],
+                ['code' => 'EG.ELC.ACCS.ZS', 'label' => '通电率', 'year' => $year],
+                ['code' => 'SP.POP.BRTH.MF', 'label' => '出生性别比', 'year' => $year],
+                ['code' => 'SP.URB.TOTL.IN.ZS', 'label' => '城镇人口比例', 'year' => $year],
+                ['code' => 'SI.DST.*', 'label' => '收入份额', 'year' => null]
+            ],
+            'mergedCountries' => count($mergedData),
+            'dropped' => $droppedCounts,
+            'fallbacks' => [
+                'SE.SEC.ENRR' => summarizeFallback($secondaryEnrollmentYears, $year, $mergedData),
+                'EG.ELC.ACCS.ZS' => summarizeFallback($electricityAccessYears, $year, $mergedData)
+            ]
+        ],
         'countries' => $mergedData
     ];
     
@@ -0,0 +1,116 @@
+/**
+ * 抽签历史与国家图鉴
+ * 每次单抽与十连抽都保存到 localStorage，图鉴由历史记录汇总得出
+ */
+
+const STORAGE_KEY = 'birth-lottery-history';
+
+// 最多保留的历史记录条数，避免超出 localStorage 容量
+const MAX_HISTORY_ENTRIES = 1000;
+
+/**
+ * 精简单个抽签结果，只保留图鉴与回放需要的字段
+ */
+function compactResult(result) {
+    return {
+        iso2: result.iso2,
+        name: result.name,
+        region: result.region,
+        rarity: result.rarity,
+        probability: result.probability,
+        birthProbability: result.birthProbability,
+        gdpPerCapita: result.gdpPerCapita
+    };
+}
+
+/**
+ * 读取全部历史记录（按时间先后），读取失败时返回空数组
+ */
+export function loadHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        console.warn('读取抽签历史失败:', error);
+        return [];
+    }
+}
+
+/**
+ * 保存一次抽签
+ * type 为 'single'、'daily'（今日投胎）或 'tenDraw'；meta 包含 seed、dataTimestamp、dataYear、birthYear、weightMode、territoriesGrouped
+ * 返回保存后的记录
+ */
+export function saveDraw(type, results, meta) {
+    const entry = {
+        type,
+        savedAt: Date.now(),
+        ...meta,
+        results: results.map(compactResult)
+    };
+
+    const history = loadHistory();
+    history.push(entry);
+    if (history.length > MAX_HISTORY_ENTRIES) {
+        history.splice(0, history.length - MAX_HISTORY_ENTRIES);
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+    } catch (error) {
+        console.warn('保存抽签历史失败:', error);
+    }
+    return entry;
+}
+
+/**
+ * 清空历史记录
+ */
+export function clearHistory() {
+    localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * 由历史记录汇总图鉴
+ * 返回 Map: iso2 -> { iso2, name, count, firstDrawnAt, birthProbability }
+ */
+export function buildCollection(history) {
+    const collection = new Map();
+    history.forEach(entry => {
+        entry.results.forEach(result => {
+            const item = collection.get(result.iso2);
+            if (item) {
+                item.count++;
+            } else {
+                collection.set(result.iso2, {
+                    iso2: result.iso2,
+                    name: result.name,
+                    count: 1,
+                    firstDrawnAt: entry.savedAt,
+                    birthProbability: result.birthProbability
+                });
+            }
+        });
+    });
+    return collection;
+}
+
+/**
+ * 图鉴中最稀有的国家（按出生概率，与抽签时的权重模式无关），图鉴为空时返回 null
+ */
+export function getRarestCollected(collection) {
+    let rarest = null;
+    collection.forEach(item => {
+        if (item.birthProbability > 0 && (!rarest || item.birthProbability < rarest.birthProbability)) {
+            rarest = item;
+        }
+    });
+    return rarest;
+}
+
+/**
+ * 统计抽签总次数（十连抽计 10 次）
+ */
+export function countDraws(history) {
+    return history.reduce((sum, entry) => sum + entry.results.length, 0);
+}
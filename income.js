@@ -0,0 +1,100 @@
+/**
+ * 收入十分位与全球收入百分位
+ * 抽中国家后，在该国的收入分布中等概率抽取一个十分位，
+ * 再按人均GDP与收入份额估算该十分位的人均收入，并换算为全球收入百分位
+ */
+
+// 十分位数量
+const DECILE_COUNT = 10;
+
+/**
+ * 读取国家的十分位收入份额（百分比，长度为 10，从最低到最高），缺失时返回 null
+ */
+export function getDecileShares(country) {
+    const shares = country.incomeShares;
+    if (!Array.isArray(shares) || shares.length !== DECILE_COUNT) return null;
+    if (!shares.every(share => Number.isFinite(Number(share)) && Number(share) >= 0)) return null;
+    return shares.map(Number);
+}
+
+/**
+ * 等概率抽取一个十分位（1-10，1 为收入最低的 10%）
+ */
+export function drawIncomeDecile(random) {
+    return Math.floor(random() * DECILE_COUNT) + 1;
+}
+
+/**
+ * 构建全球收入分布
+ * 每个国家拆分为 10 个人口相等的十分位；缺少收入份额数据的国家使用有数据国家的平均份额
+ */
+export function buildIncomeDistribution(countries) {
+    const withShares = countries.map(c => getDecileShares(c)).filter(Boolean);
+    const fallbackShares = withShares.length
+        ? Array.from({ length: DECILE_COUNT }, (_, i) =>
+            withShares.reduce((sum, shares) => sum + shares[i], 0) / withShares.length)
+        : Array(DECILE_COUNT).fill(100 / DECILE_COUNT);
+
+    const cells = [];
+    countries.forEach(c => {
+        if (!(c.gdpPerCapita > 0) || !(c.population > 0)) return;
+        const shares = getDecileShares(c) || fallbackShares;
+        shares.forEach(share => {
+            cells.push({
+                income: c.gdpPerCapita * share / 100 * DECILE_COUNT,
+                population: c.population / DECILE_COUNT
+            });
+        });
+    });
+
+    cells.sort((a, b) => a.income - b.income);
+
+    // 累计人口，用于二分查找
+    let cumulative = 0;
+    const cumulativePopulation = cells.map(cell => (cumulative += cell.population));
+
+    return {
+        fallbackShares,
+        cells,
+        cumulativePopulation,
+        totalPopulation: cumulative
+    };
+}
+
+/**
+ * 估算国家某个十分位的人均收入（美元），人均GDP缺失时返回 null
+ */
+export function getDecileIncome(distribution, country, decile) {
+    if (!(country.gdpPerCapita > 0)) return null;
+    const shares = getDecileShares(country) || distribution.fallbackShares;
+    return country.gdpPerCapita * shares[decile - 1] / 100 * DECILE_COUNT;
+}
+
+/**
+ * 计算收入在全球人口中的百分位（0-100，即全球有多少比例的人收入更低）
+ */
+export function getGlobalPercentile(distribution, income) {
+    if (income === null || distribution.totalPopulation <= 0) return null;
+
+    const { cells, cumulativePopulation } = distribution;
+    let low = 0;
+    let high = cells.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (cells[mid].income < income) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    const below = low > 0 ? cumulativePopulation[low - 1] : 0;
+    return (below / distribution.totalPopulation) * 100;
+}
+
+/**
+ * 十分位的显示文字，如 “第 3 个十分位（该国收入由低到高 20%-30%）”
+ */
+export function formatDecile(decile) {
+    return `第 ${decile} 个十分位（该国收入由低到高 ${(decile - 1) * 10}%-${decile * 10}%）`;
+}
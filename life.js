@@ -0,0 +1,121 @@
+/**
+ * 人生轨迹模拟
+ * 根据出生国家的预期寿命、五岁以下死亡率、中学入学率和通电率，用种子随机数模拟一段个人经历
+ */
+
+// 模拟寿命的上下限
+const MIN_LIFESPAN = 5;
+const MAX_LIFESPAN = 105;
+// 个人寿命围绕预期寿命的标准差（年）
+const LIFESPAN_SPREAD = 12;
+// 寿命条的满格参考值
+const LIFESPAN_SCALE = 100;
+// 读完中学的年龄，模拟寿命不到这个年龄时视为未能读完
+const SCHOOL_COMPLETION_AGE = 18;
+
+/**
+ * 读取有效的数值指标，缺失时返回 null
+ */
+function readIndicator(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * 标准正态分布随机数（Box-Muller）
+ */
+function randomNormal(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * 国家是否有任何人生轨迹指标
+ */
+export function hasLifeData(country) {
+    return ['lifeExpectancy', 'under5Mortality', 'secondaryEnrollment', 'electricityAccess']
+        .some(key => readIndicator(country[key]) !== null);
+}
+
+/**
+ * 模拟人生轨迹
+ * 返回各项结果: { id, icon, label, value, percent, basis, available }
+ * percent 为属性条长度（0-100），basis 为所依据的国家指标说明
+ */
+export function simulateLife(country, random) {
+    const lifeExpectancy = readIndicator(country.lifeExpectancy);
+    const under5Mortality = readIndicator(country.under5Mortality);
+    const secondaryEnrollment = readIndicator(country.secondaryEnrollment);
+    const electricityAccess = readIndicator(country.electricityAccess);
+
+    // 五岁以下死亡率单位为每千名活产
+    const deathRisk = under5Mortality === null ? 0 : Math.min(under5Mortality / 1000, 1);
+    const survived = random() >= deathRisk;
+
+    const outcomes = [];
+
+    outcomes.push({
+        id: 'survival',
+        icon: '🍼',
+        label: '平安长到5岁',
+        value: under5Mortality === null ? '暂无数据' : (survived ? '✅ 做到了' : '❌ 未能做到'),
+        percent: under5Mortality === null ? 0 : (1 - deathRisk) * 100,
+        basis: under5Mortality === null ? '' : `五岁以下死亡率 ${under5Mortality.toFixed(1)}‰`,
+        available: under5Mortality !== null
+    });
+
+    let lifespan = null;
+    if (lifeExpectancy !== null) {
+        if (survived) {
+            // 预期寿命包含夭折人口，按夭折者平均约 1 岁换算活过五岁者的条件期望
+            const conditional = (lifeExpectancy - deathRisk) / (1 - deathRisk);
+            lifespan = conditional + randomNormal(random) * LIFESPAN_SPREAD;
+            lifespan = Math.round(Math.min(Math.max(lifespan, MIN_LIFESPAN), MAX_LIFESPAN));
+        } else {
+            lifespan = Math.floor(random() * MIN_LIFESPAN);
+        }
+    }
+
+    outcomes.push({
+        id: 'lifespan',
+        icon: '⏳',
+        label: '模拟寿命',
+        value: lifespan === null ? '暂无数据' : `${lifespan} 岁`,
+        percent: lifespan === null ? 0 : Math.min(lifespan / LIFESPAN_SCALE, 1) * 100,
+        basis: lifeExpectancy === null ? '' : `出生时预期寿命 ${lifeExpectancy.toFixed(1)} 岁`,
+        available: lifeExpectancy !== null
+    });
+
+    // 毛入学率可能超过 100%，按 100% 截断
+    const schoolChance = secondaryEnrollment === null ? null : Math.min(secondaryEnrollment, 100) / 100;
+    // 寿命判断放在抽取之后，不改变随机数的消耗顺序（同一种子的后续结果保持不变）
+    const finishedSchool = survived && schoolChance !== null && random() < schoolChance &&
+        (lifespan === null || lifespan >= SCHOOL_COMPLETION_AGE);
+
+    outcomes.push({
+        id: 'school',
+        icon: '🎓',
+        label: '读完中学',
+        value: schoolChance === null ? '暂无数据' : (finishedSchool ? '✅ 做到了' : '❌ 未能做到'),
+        percent: schoolChance === null ? 0 : schoolChance * 100,
+        basis: secondaryEnrollment === null ? '' : `中学毛入学率 ${secondaryEnrollment.toFixed(1)}%`,
+        available: schoolChance !== null
+    });
+
+    const electricityChance = electricityAccess === null ? null : Math.min(electricityAccess, 100) / 100;
+    const hasElectricity = electricityChance !== null && random() < electricityChance;
+
+    outcomes.push({
+        id: 'electricity',
+        icon: '💡',
+        label: '家里通电',
+        value: electricityChance === null ? '暂无数据' : (hasElectricity ? '✅ 有电' : '❌ 没有电'),
+        percent: electricityChance === null ? 0 : electricityChance * 100,
+        basis: electricityAccess === null ? '' : `通电人口比例 ${electricityAccess.toFixed(1)}%`,
+        available: electricityChance !== null
+    });
+
+    return outcomes;
+}
@@ -0,0 +1,103 @@
+/**
+ * 家族传承模拟
+ * 从一次抽签结果出发，按净迁移数据逐代决定子女留在父母所在国家还是移民
+ */
+
+import { AliasSampler } from './sampler.js';
+import { isDrawableCountry } from './lottery.js';
+
+// 每代间隔年数
+export const GENERATION_YEARS = 30;
+
+// 单代移民概率上限，避免小国极端数据导致几乎必然移民
+const MAX_EMIGRATION_PROBABILITY = 0.5;
+
+/**
+ * 构建迁移模型
+ * - 移出概率：净迁移为负的国家，按年净流出率换算为一代人（30年）内的移出概率
+ * - 目的地份额：净迁移为正的国家，按净流入人数占全球净流入的比例
+ *   简化：没有按出发国区分的流向数据，所有出发国共用同一组全球份额
+ */
+export function buildMigrationModel(countries) {
+    const drawable = countries.filter(isDrawableCountry);
+
+    const emigration = new Map();
+    drawable.forEach(c => {
+        const netMigration = Number(c.netMigration);
+        if (!Number.isFinite(netMigration) || netMigration >= 0 || !(c.population > 0)) {
+            emigration.set(c.iso2, 0);
+            return;
+        }
+        const annualRate = Math.min(-netMigration / c.population, 1);
+        const probability = 1 - Math.pow(1 - annualRate, GENERATION_YEARS);
+        emigration.set(c.iso2, Math.min(probability, MAX_EMIGRATION_PROBABILITY));
+    });
+
+    const destinations = drawable.filter(c => Number(c.netMigration) > 0);
+
+    return {
+        emigration,
+        destinations,
+        destinationSampler: destinations.length ? new AliasSampler(destinations, c => Number(c.netMigration)) : null,
+        totalInflow: destinations.reduce((sum, c) => sum + Number(c.netMigration), 0)
+    };
+}
+
+/**
+ * 迁移模型是否有可用数据
+ */
+export function hasMigrationData(model) {
+    return Boolean(model.destinationSampler);
+}
+
+/**
+ * 获取国家一代人内的移民概率（0-1）
+ */
+export function getEmigrationProbability(model, country) {
+    return model.emigration.get(country.iso2) || 0;
+}
+
+/**
+ * 获取国家在全球净流入中的份额（0-1），与移民从哪个国家出发无关
+ */
+export function getDestinationShare(model, country) {
+    const inflow = Number(country.netMigration);
+    return inflow > 0 && model.totalInflow > 0 ? inflow / model.totalInflow : 0;
+}
+
+/**
+ * 模拟家族传承
+ * 返回每一代的记录: { generation, year, country, emigrated, from }
+ */
+export function simulateLineage(start, model, { generations, startYear, random }) {
+    const lineage = [{ generation: 1, year: startYear, country: start, emigrated: false, from: null }];
+
+    let current = start;
+    for (let generation = 2; generation <= generations; generation++) {
+        const probability = getEmigrationProbability(model, current);
+        let next = current;
+
+        if (model.destinationSampler && random() < probability) {
+            // 目的地不能是本国，重抽直到不同（本国为唯一目的地时放弃移民）
+            for (let attempt = 0; attempt < 20; attempt++) {
+                const destination = model.destinationSampler.draw(random);
+                if (destination.iso2 !== current.iso2) {
+                    next = destination;
+                    break;
+                }
+            }
+        }
+
+        const emigrated = next.iso2 !== current.iso2;
+        lineage.push({
+            generation,
+            year: startYear + (generation - 1) * GENERATION_YEARS,
+            country: next,
+            emigrated,
+            from: emigrated ? current : null
+        });
+        current = next;
+    }
+
+    return lineage;
+}
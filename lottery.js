@@ -0,0 +1,137 @@
+/**
+ * 抽签池构建
+ * 根据权重模式计算每个国家的抽签权重与抽中概率
+ */
+
+import { AliasSampler } from './sampler.js';
+
+// 权重模式
+export const WEIGHT_MODES = {
+    births: {
+        label: '按出生人数',
+        probabilityLabel: '出生概率',
+        description: '每个新生儿都是一次投胎，人口出生多的国家更容易抽中',
+        getWeight: c => c.births
+    },
+    population: {
+        label: '按当前人口',
+        probabilityLabel: '抽中概率',
+        description: '如果你是现在活着的任意一个人，你会是谁',
+        getWeight: c => c.population
+    },
+    uniform: {
+        label: '按国家均等',
+        probabilityLabel: '抽中概率',
+        description: '每个国家/地区的概率相同，用于教学对比',
+        getWeight: () => 1
+    },
+    area: {
+        label: '按国土面积',
+        probabilityLabel: '抽中概率',
+        description: '在地图上随机扔一枚飞镖，国土面积越大越容易抽中',
+        getWeight: c => c.landArea
+    }
+};
+
+export const DEFAULT_WEIGHT_MODE = 'births';
+
+/**
+ * 创建空的抽签池条件（不做任何限制）
+ * regions / incomeLevels 为空表示不按该字段筛选；
+ * toggled 中的国家（ISO2）会在筛选结果的基础上反转是否入池，用于在地图上手动点选
+ */
+export function createPool() {
+    return {
+        regions: new Set(),
+        incomeLevels: new Set(),
+        toggled: new Set()
+    };
+}
+
+/**
+ * 抽签池是否有任何限制条件
+ */
+export function isPoolActive(pool) {
+    return Boolean(pool) && (pool.regions.size > 0 || pool.incomeLevels.size > 0 || pool.toggled.size > 0);
+}
+
+/**
+ * 判断国家是否在抽签池内
+ */
+export function isInPool(country, pool) {
+    if (!pool) return true;
+
+    const region = (country.region || '').trim();
+    const incomeLevel = (country.incomeLevel || '').trim();
+    const matched = (pool.regions.size === 0 || pool.regions.has(region)) &&
+        (pool.incomeLevels.size === 0 || pool.incomeLevels.has(incomeLevel));
+
+    return pool.toggled.has(country.iso2) ? !matched : matched;
+}
+
+/**
+ * 判断是否为可参与抽签的真实国家(排除聚合数据)
+ */
+export function isDrawableCountry(c) {
+    return c.region !== 'Aggregates' &&
+        c.iso2 &&
+        c.iso2.length === 2 &&
+        /^[A-Z]{2}$/.test(c.iso2);
+}
+
+/**
+ * 判断权重模式在当前数据集中是否可用（例如旧缓存没有国土面积数据）
+ */
+export function isWeightModeAvailable(countries, mode) {
+    const config = WEIGHT_MODES[mode];
+    if (!config) return false;
+    return countries.some(c => isDrawableCountry(c) && getModeWeight(config, c) > 0);
+}
+
+/**
+ * 读取国家在某个模式下的权重，无效值视为 0
+ */
+function getModeWeight(config, country) {
+    const weight = Number(config.getWeight(country));
+    return Number.isFinite(weight) && weight > 0 ? weight : 0;
+}
+
+/**
+ * 构建抽签池
+ * 返回与 fetch_data.php 结构一致的数据对象，其中 weight 与 probability 已替换为当前模式的值，
+ * 并在抽签池内重新归一化；池外国家的 inPool 为 false、概率为 0。
+ * 原始的出生概率保存在 birthProbability 中；同时返回对应的别名抽样器（池为空时为 null）
+ */
+export function buildLottery(data, mode = DEFAULT_WEIGHT_MODE, pool = null) {
+    if (!WEIGHT_MODES[mode]) mode = DEFAULT_WEIGHT_MODE;
+    const config = WEIGHT_MODES[mode];
+
+    const drawable = data.countries.filter(isDrawableCountry);
+    const inPool = new Set(drawable.filter(c => isInPool(c, pool)));
+    const totalWeight = drawable.reduce((sum, c) => sum + (inPool.has(c) ? getModeWeight(config, c) : 0), 0);
+
+    const countries = drawable.map(c => {
+        const weight = inPool.has(c) ? getModeWeight(config, c) : 0;
+        return {
+            ...c,
+            birthProbability: c.probability,
+            weight,
+            probability: totalWeight > 0 ? (weight / totalWeight) * 100 : 0,
+            weightMode: mode,
+            inPool: inPool.has(c)
+        };
+    });
+
+    return {
+        data: {
+            ...data,
+            weightMode: mode,
+            probabilityLabel: config.probabilityLabel,
+            poolActive: isPoolActive(pool),
+            poolSize: countries.filter(c => c.weight > 0).length,
+            totalWeight,
+            countries
+        },
+        sampler: totalWeight > 0 ? new AliasSampler(countries, c => c.weight) : null
+    };
+}
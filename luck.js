@@ -0,0 +1,58 @@
+/**
+ * 运气值
+ * 以出生人数加权的人均GDP百分位：今年的新生儿中，有多少比例出生在人均GDP更低的国家
+ */
+
+/**
+ * 构建运气值查询表（按人均GDP升序），人均GDP或出生人数缺失的国家不计入
+ */
+export function buildLuckTable(countries) {
+    const rows = countries
+        .filter(c => c.gdpPerCapita > 0 && c.births > 0)
+        .map(c => ({ gdpPerCapita: c.gdpPerCapita, births: c.births }))
+        .sort((a, b) => a.gdpPerCapita - b.gdpPerCapita);
+
+    return {
+        rows,
+        totalBirths: rows.reduce((sum, row) => sum + row.births, 0)
+    };
+}
+
+/**
+ * 计算运气值（0-100）
+ * 人均GDP更低的国家的出生人数全部计入，人均GDP相同的国家（包括自己）计入一半
+ * 人均GDP缺失时返回 null
+ */
+export function getLuckScore(table, gdpPerCapita) {
+    if (!(gdpPerCapita > 0) || table.totalBirths <= 0) return null;
+
+    let poorer = 0;
+    let equal = 0;
+    for (const row of table.rows) {
+        if (row.gdpPerCapita < gdpPerCapita) {
+            poorer += row.births;
+        } else if (row.gdpPerCapita === gdpPerCapita) {
+            equal += row.births;
+        } else {
+            break;
+        }
+    }
+
+    return ((poorer + equal / 2) / table.totalBirths) * 100;
+}
+
+/**
+ * 计算一组结果的平均运气值，全部缺失时返回 null
+ */
+export function averageLuckScore(results) {
+    const scores = results.map(r => r.luckScore).filter(score => score !== null && score !== undefined);
+    if (!scores.length) return null;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+/**
+ * 运气值的显示文字
+ */
+export function formatLuckScore(score) {
+    return score === null || score === undefined ? '暂无数据' : score.toFixed(1);
+}
@@ -0,0 +1,92 @@
+/**
+ * 派对模式
+ * 多名玩家轮流使用同一台设备抽签，按人均GDP、稀有度或运气值排名
+ */
+
+// 最多玩家数
+export const MAX_PARTY_PLAYERS = 20;
+
+// 排名方式：compare 返回负数表示 a 排在 b 前面，缺少数据的玩家排在最后
+export const PARTY_SORTS = {
+    gdp: {
+        label: '人均GDP',
+        compare: (a, b) => (b.gdpPerCapita || 0) - (a.gdpPerCapita || 0)
+    },
+    rarity: {
+        label: '稀有度',
+        compare: (a, b) => a.probability - b.probability
+    },
+    luck: {
+        label: '运气值',
+        compare: (a, b) => (b.luckScore ?? -1) - (a.luckScore ?? -1)
+    }
+};
+
+export const DEFAULT_PARTY_SORT = 'gdp';
+
+/**
+ * 创建派对
+ */
+export function createParty(names) {
+    return {
+        players: names.map(name => ({ name, result: null })),
+        current: 0
+    };
+}
+
+/**
+ * 当前轮到的玩家，全部抽完时返回 null
+ */
+export function getCurrentPlayer(party) {
+    return party.players[party.current] || null;
+}
+
+/**
+ * 是否所有玩家都已抽签
+ */
+export function isPartyFinished(party) {
+    return party.current >= party.players.length;
+}
+
+/**
+ * 记录当前玩家的抽签结果，并轮到下一位
+ */
+export function recordPartyResult(party, result) {
+    const player = getCurrentPlayer(party);
+    if (!player) return null;
+    player.result = result;
+    party.current++;
+    return player;
+}
+
+/**
+ * 保留玩家，清空结果，重新开始一轮
+ */
+export function restartParty(party) {
+    party.players.forEach(player => {
+        player.result = null;
+    });
+    party.current = 0;
+}
+
+/**
+ * 按排名方式排序已抽签的玩家，返回 [{ rank, name, result }]
+ * 成绩相同的玩家名次相同
+ */
+export function rankPlayers(party, sortBy = DEFAULT_PARTY_SORT) {
+    const { compare } = PARTY_SORTS[sortBy] || PARTY_SORTS[DEFAULT_PARTY_SORT];
+    const sorted = party.players
+        .filter(player => player.result)
+        .sort((a, b) => compare(a.result, b.result));
+
+    const ranking = [];
+    sorted.forEach((player, index) => {
+        const tied = index > 0 && compare(sorted[index - 1].result, player.result) === 0;
+        ranking.push({
+            rank: tied ? ranking[index - 1].rank : index + 1,
+            name: player.name,
+            result: player.result
+        });
+    });
+    return ranking;
+}
@@ -0,0 +1,88 @@
+/**
+ * 数据来源与时效
+ * 汇总数据的指标代码与年份、获取时间与方式、合并与丢弃的国家数，
+ * 数据来源面板与页脚说明都由这里的同一份字段生成
+ */
+
+// 旧版缓存没有 provenance 字段时，由 dataYear 推出核心指标的年份
+const CORE_INDICATORS = [
+    { code: 'SP.DYN.CBRT.IN', label: '出生率', yearField: 'birthRate' },
+    { code: 'SP.POP.TOTL', label: '人口', yearField: 'population' },
+    { code: 'NY.GDP.PCAP.CD', label: '人均GDP', yearField: 'gdp' }
+];
+
+// 数据获取方式
+export const DATA_SOURCES = {
+    live: '实时获取（世界银行 API）',
+    cache: '服务器缓存',
+    'offline-cache': '离线缓存（浏览器）',
+    bundled: '内置数据（data_cache.json）',
+    build: '离线构建（build-data.js）',
+    custom: '自定义数据集（本地导入）',
+    unknown: '未知'
+};
+
+// 服务器合并数据时丢弃的原因
+export const DROP_REASONS = {
+    missingBirthRate: '缺少出生率',
+    missingPopulation: '缺少人口',
+    missingMetadata: '缺少国家元数据',
+    noBirths: '出生人数为 0',
+    aggregates: '聚合区域（非国家）'
+};
+
+/**
+ * 汇总数据来源
+ * data 为校验后的数据；report 为前端校验报告；offlineSource 为离线回退的来源（'cache' / 'bundled'，在线时为 null）
+ * 返回 { source, fetchedAt, indicators: [{ code, label, year, fallback }], mergedCountries, dropped: [{ reason, label, count }], validationDropped }
+ * fallback 为 { count, earliestYear }：目标年份缺失、改用此前年份数据的国家数与最早使用的年份，没有回退时为 null
+ */
+export function getProvenance(data, report, offlineSource = null) {
+    const provenance = data.provenance && typeof data.provenance === 'object' ? data.provenance : {};
+
+    let source = provenance.source in DATA_SOURCES ? provenance.source : 'unknown';
+    if (offlineSource === 'cache') source = 'offline-cache';
+    if (offlineSource === 'bundled') source = 'bundled';
+
+    const fallbacks = provenance.fallbacks && typeof provenance.fallbacks === 'object' ? provenance.fallbacks : {};
+    const getFallback = code => (fallbacks[code] && fallbacks[code].count > 0 ? fallbacks[code] : null);
+    const indicators = Array.isArray(provenance.indicators) && provenance.indicators.length
+        ? provenance.indicators.map(({ code, label, year }) => ({ code, label, year: year ?? null, fallback: getFallback(code) }))
+        : CORE_INDICATORS.map(({ code, label, yearField }) => ({ code, label, year: data.dataYear[yearField], fallback: null }));
+
+    const dropped = Object.entries(provenance.dropped || {})
+        .filter(([, count]) => count > 0)
+        .map(([reason, count]) => ({ reason, label: DROP_REASONS[reason] || reason, count }));
+
+    return {
+        source,
+        fetchedAt: new Date(data.timestamp * 1000),
+        indicators,
+        mergedCountries: provenance.mergedCountries ?? data.totalCountries,
+        dropped,
+        validationDropped: report ? report.dropped.length : 0
+    };
+}
+
+/**
+ * 页脚说明，如 “* 本应用仅供娱乐，数据基于 2023 年出生率、人口，2024 年人均GDP统计（获取于 2025/10/23）”
+ * 自定义数据集只说明导入时间
+ */
+export function formatProvenanceFooter(provenance) {
+    if (provenance.source === 'custom') {
+        return `* 本应用仅供娱乐，当前使用本地导入的自定义数据集（导入于 ${provenance.fetchedAt.toLocaleString()}）`;
+    }
+
+    const years = new Map();
+    provenance.indicators
+        .filter(indicator => CORE_INDICATORS.some(core => core.code === indicator.code) && indicator.year)
+        .forEach(indicator => {
+            years.set(indicator.year, [...(years.get(indicator.year) || []), indicator.label]);
+        });
+
+    const basis = [...years.entries()]
+        .map(([year, labels]) => `${year} 年${labels.join('、')}`)
+        .join('，');
+
+    return `* 本应用仅供娱乐，数据基于 ${basis}统计（获取于 ${provenance.fetchedAt.toLocaleDateString()}）`;
+}
@@ -0,0 +1,87 @@
+/**
+ * 可复现的随机数源
+ * 使用 xorshift128 生成器，相同的种子与数据版本总是得到相同的随机序列
+ */
+
+const SEED_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+const SEED_LENGTH = 8;
+
+/**
+ * 将任意字符串哈希为 32 位无符号整数（FNV-1a）
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * splitmix32，用于把一个哈希值扩展成生成器的多个状态字
+ */
+function splitmix32(state) {
+    let z = (state + 0x9e3779b9) >>> 0;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+}
+
+/**
+ * 创建可复现的随机函数
+ * 所有参数会拼接后作为种子，例如 createRandom(seed, timestamp)
+ * 返回的函数与 Math.random 用法一致，取值范围 [0, 1)
+ */
+export function createRandom(...parts) {
+    const key = parts.map(part => String(part)).join(':');
+
+    let s = hashString(key);
+    const state = new Uint32Array(4);
+    for (let i = 0; i < 4; i++) {
+        s = splitmix32(s);
+        state[i] = s;
+    }
+    // xorshift128 的状态不能全为零
+    if (!state[0] && !state[1] && !state[2] && !state[3]) {
+        state[0] = 1;
+    }
+
+    const random = () => {
+        let t = state[0];
+        t ^= t << 11;
+        t ^= t >>> 8;
+        state[0] = state[1];
+        state[1] = state[2];
+        state[2] = state[3];
+        state[3] = state[3] ^ (state[3] >>> 19) ^ t;
+        return state[3] / 4294967296;
+    };
+
+    random.key = key;
+    return random;
+}
+
+/**
+ * 生成新的随机种子（8 位小写字母数字）
+ */
+export function generateSeed() {
+    const bytes = new Uint8Array(SEED_LENGTH);
+    if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+        globalThis.crypto.getRandomValues(bytes);
+    } else {
+        for (let i = 0; i < SEED_LENGTH; i++) {
+            bytes[i] = Math.floor(Math.random() * 256);
+        }
+    }
+    return Array.from(bytes, b => SEED_ALPHABET[b % SEED_ALPHABET.length]).join('');
+}
+
+/**
+ * 规范化用户输入的种子，空输入返回 null
+ */
+export function normalizeSeed(input) {
+    if (input === null || input === undefined) return null;
+    const seed = String(input).trim();
+    return seed ? seed.slice(0, 64) : null;
+}
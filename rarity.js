@@ -0,0 +1,40 @@
+/**
+ * 稀有度分级
+ * 根据抽中概率（百分数）把结果划分为 SSR / SR / R / N 四档
+ */
+
+// 按稀有程度从高到低排列，maxProbability 为该档概率上限（不含）
+export const RARITY_TIERS = [
+    { id: 'SSR', name: '传说', maxProbability: 0.05, color: '#ffb800', icon: '🌟' },
+    { id: 'SR', name: '稀有', maxProbability: 0.3, color: '#a55eea', icon: '💎' },
+    { id: 'R', name: '少见', maxProbability: 1.5, color: '#4b7bec', icon: '🔹' },
+    { id: 'N', name: '常见', maxProbability: Infinity, color: '#95a5a6', icon: '⚪' }
+];
+
+// 十连保底的最低稀有度
+export const PITY_MIN_TIER = 'SR';
+
+/**
+ * 根据概率获取稀有度
+ */
+export function getRarityTier(probability) {
+    return RARITY_TIERS.find(tier => probability < tier.maxProbability);
+}
+
+/**
+ * 稀有度是否不低于指定档位
+ */
+export function isTierAtLeast(tierId, minTierId) {
+    const rank = id => RARITY_TIERS.findIndex(tier => tier.id === id);
+    return rank(tierId) <= rank(minTierId);
+}
+
+/**
+ * 统计一组结果中各稀有度的数量，按稀有度从高到低返回
+ */
+export function countRarityTiers(results) {
+    return RARITY_TIERS.map(tier => ({
+        ...tier,
+        count: results.filter(r => getRarityTier(r.probability).id === tier.id).length
+    }));
+}
@@ -0,0 +1,122 @@
+/**
+ * 别名法加权抽样器（Walker / Vose Alias Method）
+ * 每个数据集只需建表一次，之后每次抽取都是 O(1)
+ */
+
+export class AliasSampler {
+    /**
+     * @param {Array} items 候选项
+     * @param {Function} getWeight 取权重的函数，默认读取 item.weight
+     */
+    constructor(items, getWeight = item => item.weight) {
+        this.getWeight = getWeight;
+        this.items = items.filter(item => {
+            const weight = getWeight(item);
+            return Number.isFinite(weight) && weight > 0;
+        });
+        this.size = this.items.length;
+
+        if (this.size === 0) {
+            throw new Error('抽样池为空或权重全部为 0');
+        }
+
+        this.weights = this.items.map(item => getWeight(item));
+        this.totalWeight = this.weights.reduce((sum, w) => sum + w, 0);
+
+        this.buildTable();
+    }
+
+    /**
+     * 构建概率表与别名表（Vose 算法）
+     */
+    buildTable() {
+        const n = this.size;
+        this.prob = new Float64Array(n);
+        this.alias = new Uint32Array(n);
+
+        // 缩放后的权重，平均值为 1
+        const scaled = this.weights.map(w => (w * n) / this.totalWeight);
+        const small = [];
+        const large = [];
+        scaled.forEach((p, i) => (p < 1 ? small : large).push(i));
+
+        while (small.length && large.length) {
+            const less = small.pop();
+            const more = large.pop();
+
+            this.prob[less] = scaled[less];
+            this.alias[less] = more;
+
+            scaled[more] = scaled[more] + scaled[less] - 1;
+            (scaled[more] < 1 ? small : large).push(more);
+        }
+
+        // 剩余项由浮点误差导致，概率视为 1
+        while (large.length) this.prob[large.pop()] = 1;
+        while (small.length) this.prob[small.pop()] = 1;
+    }
+
+    /**
+     * 抽取一项
+     * random 为随机数源，取值范围 [0, 1)
+     */
+    draw(random) {
+        const column = Math.min(Math.floor(random() * this.size), this.size - 1);
+        return random() < this.prob[column] ? this.items[column] : this.items[this.alias[column]];
+    }
+
+    /**
+     * 有放回地抽取多项
+     */
+    drawMany(random, count) {
+        const results = [];
+        for (let i = 0; i < count; i++) {
+            results.push(this.draw(random));
+        }
+        return results;
+    }
+
+    /**
+     * 无放回地抽取多项
+     * 抽到重复项时拒绝重抽；已抽走的权重超过一半时，对剩余项重建别名表
+     */
+    drawWithoutReplacement(random, count) {
+        const target = Math.min(count, this.size);
+        const picked = new Set();
+        const results = [];
+
+        let sampler = this;
+        let removedWeight = 0;
+
+        while (results.length < target) {
+            const item = sampler.draw(random);
+            if (picked.has(item)) continue;
+
+            picked.add(item);
+            results.push(item);
+            removedWeight += this.getWeight(item);
+
+            if (results.length < target && removedWeight > sampler.totalWeight / 2) {
+                sampler = this.subset(candidate => !picked.has(candidate));
+                removedWeight = 0;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * 基于筛选条件创建子抽样池，权重在池内重新归一化
+     */
+    subset(predicate) {
+        return new AliasSampler(this.items.filter(predicate), this.getWeight);
+    }
+
+    /**
+     * 获取某项在本抽样池中的概率（0-1）
+     */
+    probabilityOf(item) {
+        const index = this.items.indexOf(item);
+        return index === -1 ? 0 : this.weights[index] / this.totalWeight;
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * 数据校验与规范化
+ * fetch_data.php 返回的数据在写入 state.data 之前逐字段检查类型并规范化：
+ * 数值字符串转为数字、字符串去除首尾空白、人均GDP缺失或不为正数时视为“暂无数据”（null），
+ * 必需字段无效的记录会被丢弃，并记录原因供调试面板展示
+ */
+
+// 收入十分位数量
+const DECILE_COUNT = 10;
+
+/**
+ * 转为有限数字，无法转换时返回 null（数值字符串如 "77.225" 会被转换）
+ */
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && value.trim() !== '') {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+    return null;
+}
+
+/**
+ * 转为去除首尾空白的字符串，非字符串返回 null
+ */
+function toText(value) {
+    return typeof value === 'string' ? value.trim() : null;
+}
+
+/**
+ * 数值在 [min, max] 内时原样返回，否则返回 null
+ */
+function inRange(value, min, max) {
+    return value !== null && value >= min && value <= max ? value : null;
+}
+
+/**
+ * 正数原样返回，否则返回 null
+ */
+function positive(value) {
+    return value !== null && value > 0 ? value : null;
+}
+
+/**
+ * 收入十分位份额：必须是 10 个非负数字，否则视为缺失
+ */
+function parseIncomeShares(value) {
+    if (!Array.isArray(value) || value.length !== DECILE_COUNT) return null;
+    const shares = value.map(toNumber);
+    return shares.every(share => share !== null && share >= 0) ? shares : null;
+}
+
+/**
+ * 字段规则
+ * parse 返回规范化后的值，null 表示无效或缺失；
+ * required 的字段无效时丢弃整条记录，其余字段无效时置为 fallback
+ */
+const COUNTRY_FIELDS = {
+    id: { required: true, parse: value => toText(value) || null },
+    name: { required: true, parse: value => toText(value) || null },
+    iso2: {
+        required: true,
+        parse: value => {
+            const iso2 = toText(value);
+            return iso2 && /^[A-Z0-9]{2}$/i.test(iso2) ? iso2.toUpperCase() : null;
+        }
+    },
+    region: { fallback: '', parse: toText },
+    incomeLevel: { fallback: '', parse: toText },
+    capital: { fallback: '', parse: toText },
+    longitude: { parse: value => inRange(toNumber(value), -180, 180) },
+    latitude: { parse: value => inRange(toNumber(value), -90, 90) },
+    birthRate: { required: true, parse: value => positive(toNumber(value)) },
+    population: { required: true, parse: value => positive(toNumber(value)) },
+    // 世界银行没有数据时 fetch_data.php 输出 0，0 表示“暂无数据”而不是人均GDP为 0
+    gdpPerCapita: { parse: value => positive(toNumber(value)) },
+    landArea: { parse: value => positive(toNumber(value)) },
+    netMigration: { parse: toNumber },
+    lifeExpectancy: { parse: value => positive(toNumber(value)) },
+    under5Mortality: { parse: value => inRange(toNumber(value), 0, 1000) },
+    secondaryEnrollment: { parse: value => inRange(toNumber(value), 0, Infinity) },
+    electricityAccess: { parse: value => inRange(toNumber(value), 0, 100) },
+    sexRatioAtBirth: { parse: value => positive(toNumber(value)) },
+    urbanShare: { parse: value => inRange(toNumber(value), 0, 100) },
+    incomeShares: { parse: parseIncomeShares },
+    births: { required: true, parse: value => positive(toNumber(value)) },
+    weight: { required: true, parse: value => positive(toNumber(value)) },
+    probability: { required: true, parse: value => inRange(toNumber(value), 0, 100) }
+};
+
+/**
+ * 校验并规范化单条国家记录
+ * 返回 { country, reasons, missing }：country 为 null 表示记录被丢弃，reasons 为丢弃原因，
+ * missing 为无效或缺失、已置为默认值的可选字段
+ */
+function normalizeCountry(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { country: null, reasons: ['记录不是对象'], missing: [] };
+    }
+
+    const country = { ...record };
+    const reasons = [];
+    const missing = [];
+
+    Object.entries(COUNTRY_FIELDS).forEach(([field, rule]) => {
+        const value = rule.parse(record[field]);
+        if (value !== null) {
+            country[field] = value;
+        } else if (rule.required) {
+            reasons.push(`${field} 无效: ${JSON.stringify(record[field])}`);
+        } else {
+            country[field] = rule.fallback ?? null;
+            missing.push(field);
+        }
+    });
+
+    return { country: reasons.length ? null : country, reasons, missing };
+}
+
+/**
+ * 校验并规范化 fetch_data.php 返回的数据
+ * 数据整体结构无效时抛出错误；否则返回 { data, report }：
+ * report.dropped 为被丢弃的记录 [{ index, id, name, reasons }]，
+ * report.missing 为各可选字段的缺失数量 { field: count }
+ */
+export function validatePayload(payload) {
+    if (!payload || typeof payload !== 'object') {
+        throw new Error('数据格式无效');
+    }
+    if (!payload.success) {
+        throw new Error(payload.error || '数据加载失败');
+    }
+    if (!Array.isArray(payload.countries)) {
+        throw new Error('数据格式无效: 缺少 countries 数组');
+    }
+    const timestamp = toNumber(payload.timestamp);
+    if (timestamp === null) {
+        throw new Error('数据格式无效: 缺少数据版本 timestamp');
+    }
+
+    const countries = [];
+    const dropped = [];
+    const missing = {};
+
+    payload.countries.forEach((record, index) => {
+        const result = normalizeCountry(record);
+        if (!result.country) {
+            dropped.push({
+                index,
+                id: toText(record?.id) || '',
+                name: toText(record?.name) || '',
+                reasons: result.reasons
+            });
+            return;
+        }
+        result.missing.forEach(field => {
+            missing[field] = (missing[field] || 0) + 1;
+        });
+        countries.push(result.country);
+    });
+
+    if (!countries.length) {
+        throw new Error('数据格式无效: 没有有效的国家记录');
+    }
+
+    // 有记录被丢弃时，按剩余记录重新归一化出生概率
+    const totalWeight = countries.reduce((sum, c) => sum + c.weight, 0);
+    if (dropped.length) {
+        countries.forEach(c => {
+            c.probability = c.weight / totalWeight * 100;
+        });
+    }
+
+    const dataYear = payload.dataYear && typeof payload.dataYear === 'object' ? payload.dataYear : {};
+
+    return {
+        data: {
+            ...payload,
+            timestamp,
+            dataYear: {
+                birthRate: toNumber(dataYear.birthRate),
+                population: toNumber(dataYear.population),
+                gdp: toNumber(dataYear.gdp)
+            },
+            totalCountries: countries.length,
+            totalBirths: Math.round(countries.reduce((sum, c) => sum + c.births, 0)),
+            countries
+        },
+        report: {
+            total: payload.countries.length,
+            dropped,
+            missing
+        }
+    };
+}
@@ -0,0 +1,63 @@
+/**
+ * 出生性别抽取
+ * 在抽中国家之后，按该国出生性别比（世界银行 SP.POP.BRTH.MF）决定性别
+ */
+
+// 自然出生性别比：约每 100 名女婴对应 105 名男婴
+export const NATURAL_SEX_RATIO = 105;
+
+// 与自然水平相差在该范围内视为正常
+const NORMAL_RANGE = 2;
+
+export const SEXES = {
+    male: { label: '男孩', icon: '👦' },
+    female: { label: '女孩', icon: '👧' }
+};
+
+/**
+ * 获取国家的出生性别比（每 100 名女婴对应的男婴数），缺失时返回 null
+ * 世界银行以“男婴/女婴”的比值发布（如 1.05），这里统一换算为每 100 名女婴
+ */
+export function getSexRatio(country) {
+    const ratio = Number(country.sexRatioAtBirth);
+    if (country.sexRatioAtBirth === null || country.sexRatioAtBirth === undefined || !Number.isFinite(ratio) || ratio <= 0) {
+        return null;
+    }
+    return ratio < 10 ? ratio * 100 : ratio;
+}
+
+/**
+ * 按出生性别比抽取性别，缺少数据时按自然水平
+ */
+export function drawSex(country, random) {
+    const ratio = getSexRatio(country) ?? NATURAL_SEX_RATIO;
+    const maleProbability = ratio / (ratio + 100);
+    return random() < maleProbability ? 'male' : 'female';
+}
+
+/**
+ * 获取性别的显示文字，如 “👧 女孩”
+ */
+export function formatSex(sex) {
+    const config = SEXES[sex];
+    return config ? `${config.icon} ${config.label}` : '';
+}
+
+/**
+ * 说明该国出生性别比与自然水平的差异
+ */
+export function describeSexRatio(country) {
+    const ratio = getSexRatio(country);
+    if (ratio === null) {
+        return `暂无该国出生性别比数据，按自然水平（约 ${NATURAL_SEX_RATIO} : 100）抽取`;
+    }
+
+    const prefix = `出生性别比 ${ratio.toFixed(1)} : 100（男 : 女）`;
+    const diff = ratio - NATURAL_SEX_RATIO;
+    if (Math.abs(diff) <= NORMAL_RANGE) {
+        return `${prefix}，接近自然水平（约 ${NATURAL_SEX_RATIO}）`;
+    }
+    return diff > 0
+        ? `${prefix}，比自然水平（约 ${NATURAL_SEX_RATIO}）偏高，男婴明显更多`
+        : `${prefix}，比自然水平（约 ${NATURAL_SEX_RATIO}）偏低，女婴相对更多`;
+}
@@ -0,0 +1,134 @@
+/**
+ * 统计检验工具
+ * 用于公平性审计中的卡方拟合优度检验
+ */
+
+// 期望次数低于该值的类别合并后再检验，保证卡方近似有效
+const MIN_EXPECTED_COUNT = 5;
+
+/**
+ * ln Γ(x)，Lanczos 近似
+ */
+function logGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const c of coefficients) {
+        series += c / ++y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * 正则化下不完全伽马函数 P(a, x)，级数展开（x < a + 1 时收敛快）
+ */
+function gammaSeries(a, x) {
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 1000; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+}
+
+/**
+ * 正则化上不完全伽马函数 Q(a, x)，连分式展开（x >= a + 1 时收敛快）
+ */
+function gammaContinuedFraction(a, x) {
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 1000; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+/**
+ * 卡方分布的右尾概率（p 值）
+ */
+export function chiSquarePValue(statistic, degreesOfFreedom) {
+    if (degreesOfFreedom <= 0) return 1;
+    if (statistic <= 0) return 1;
+
+    const a = degreesOfFreedom / 2;
+    const x = statistic / 2;
+    return x < a + 1 ? 1 - gammaSeries(a, x) : gammaContinuedFraction(a, x);
+}
+
+/**
+ * 卡方拟合优度检验
+ * counts 为各类别的观测次数，probabilities 为各类别的理论概率（0-1）
+ * 期望次数不足 5 的类别会合并为一个类别
+ */
+export function chiSquareTest(counts, probabilities) {
+    const total = counts.reduce((sum, c) => sum + c, 0);
+    if (total === 0) {
+        return { statistic: 0, degreesOfFreedom: 0, pValue: 1, mergedCategories: 0 };
+    }
+
+    let statistic = 0;
+    let bins = 0;
+    let mergedObserved = 0;
+    let mergedExpected = 0;
+    let mergedCategories = 0;
+
+    for (let i = 0; i < counts.length; i++) {
+        const expected = probabilities[i] * total;
+        if (expected <= 0) continue;
+
+        if (expected < MIN_EXPECTED_COUNT) {
+            mergedObserved += counts[i];
+            mergedExpected += expected;
+            mergedCategories++;
+            continue;
+        }
+
+        statistic += (counts[i] - expected) ** 2 / expected;
+        bins++;
+    }
+
+    if (mergedExpected > 0) {
+        statistic += (mergedObserved - mergedExpected) ** 2 / mergedExpected;
+        bins++;
+    }
+
+    const degreesOfFreedom = Math.max(bins - 1, 0);
+    return {
+        statistic,
+        degreesOfFreedom,
+        pValue: chiSquarePValue(statistic, degreesOfFreedom),
+        mergedCategories
+    };
+}
+
+/**
+ * 总变差距离：观测频率与理论概率之差的绝对值之和的一半（0-1）
+ */
+export function totalVariationDistance(counts, probabilities) {
+    const total = counts.reduce((sum, c) => sum + c, 0);
+    if (total === 0) return 0;
+
+    let distance = 0;
+    for (let i = 0; i < counts.length; i++) {
+        distance += Math.abs(counts[i] / total - probabilities[i]);
+    }
+    return distance / 2;
+}
@@ -0,0 +1,122 @@
+/**
+ * 投胎模拟器 - Service Worker
+ * 预缓存页面、脚本、地图与内置数据，使模拟器在离线时也能完整运行；
+ * fetch_data.php 的最近一次有效响应单独缓存，供离线时作为数据回退
+ */
+
+// 静态资源缓存版本，资源列表变化时递增
+const STATIC_CACHE = 'birth-lottery-static-v4';
+// 最近一次有效数据的缓存（与 app.js 中的 DATA_CACHE 保持一致）
+const DATA_CACHE = 'birth-lottery-data';
+
+// 预缓存的资源
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'font-awesome.min.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'app.js',
+    'world-map-d3.js',
+    'country-iso-mapping.js',
+    'd3.v7.min.js',
+    'topojson.min.js',
+    'anime.esm.js',
+    'random.js',
+    'sampler.js',
+    'lottery.js',
+    'territories.js',
+    'schema.js',
+    'provenance.js',
+    'dataset.js',
+    'statistics.js',
+    'rarity.js',
+    'lineage.js',
+    'life.js',
+    'sex.js',
+    'birthplace.js',
+    'income.js',
+    'luck.js',
+    'bulk.js',
+    'history.js',
+    'achievements.js',
+    'party.js',
+    'daily.js',
+    'audit-worker.js',
+    'countries-50m.json',
+    'data_cache.json'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // 清理旧版本的静态资源缓存
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== STATIC_CACHE && key !== DATA_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.endsWith('/fetch_data.php')) {
+        event.respondWith(fetchData(request));
+    } else {
+        event.respondWith(fetchStatic(event));
+    }
+});
+
+/**
+ * 数据请求：网络优先
+ * 只有成功的数据（success 为 true）才会写入缓存，网络失败时返回该年份最近一次有效数据
+ */
+async function fetchData(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        const payload = await response.clone().json().catch(() => null);
+        if (response.ok && payload && payload.success) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * 静态资源：优先返回缓存，同时在后台从网络更新缓存；
+ * 未缓存的资源（如字体文件）从网络获取后写入缓存
+ */
+async function fetchStatic(event) {
+    const { request } = event;
+    const cache = await caches.open(STATIC_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => null));
+        return cached;
+    }
+    return network;
+}
@@ -0,0 +1,123 @@
+/**
+ * 属地归并
+ * 世界银行数据把部分属地（如波多黎各、格陵兰、香港、澳门）与主权国家并列为独立条目。
+ * 开启归并后，属地并入所属主权国家的抽签条目：出生人数、人口与国土面积相加，
+ * 人均GDP按出生人数加权平均，出生率按人口加权平均，其余指标沿用主权国家的数据
+ */
+
+// 属地（ISO2）-> 所属主权国家（ISO2），只列出世界银行数据中作为独立条目出现的属地
+export const TERRITORY_SOVEREIGNS = {
+    // 中国：特别行政区
+    HK: 'CN',
+    MO: 'CN',
+    // 美国：海外领地
+    PR: 'US',
+    GU: 'US',
+    VI: 'US',
+    AS: 'US',
+    MP: 'US',
+    // 法国：海外集体与特殊集体
+    NC: 'FR',
+    PF: 'FR',
+    MF: 'FR',
+    // 荷兰王国：构成国
+    AW: 'NL',
+    CW: 'NL',
+    SX: 'NL',
+    // 英国：海外领地与王室属地
+    BM: 'GB',
+    KY: 'GB',
+    VG: 'GB',
+    TC: 'GB',
+    GI: 'GB',
+    IM: 'GB',
+    JG: 'GB',
+    // 丹麦王国：自治领地
+    GL: 'DK',
+    FO: 'DK'
+};
+
+/**
+ * 保留 n 位小数
+ */
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * 对可能缺失的数值求和，全部缺失时返回 null
+ */
+function sumOptional(values) {
+    const present = values.filter(value => value > 0);
+    return present.length ? present.reduce((sum, value) => sum + value, 0) : null;
+}
+
+/**
+ * 加权平均，跳过数值或权重缺失的成员，全部缺失时返回 null
+ */
+function weightedAverage(members, getValue, getWeight) {
+    const present = members.filter(m => getValue(m) > 0 && getWeight(m) > 0);
+    const totalWeight = present.reduce((sum, m) => sum + getWeight(m), 0);
+    return totalWeight > 0
+        ? round(present.reduce((sum, m) => sum + getValue(m) * getWeight(m), 0) / totalWeight, 2)
+        : null;
+}
+
+/**
+ * 数据中可以归并的属地（所属主权国家也在数据中）
+ * 返回 [{ territory, sovereign }]
+ */
+export function findTerritories(countries) {
+    const byIso2 = new Map(countries.map(c => [c.iso2, c]));
+    return countries
+        .filter(c => TERRITORY_SOVEREIGNS[c.iso2] && byIso2.has(TERRITORY_SOVEREIGNS[c.iso2]))
+        .map(c => ({ territory: c, sovereign: byIso2.get(TERRITORY_SOVEREIGNS[c.iso2]) }));
+}
+
+/**
+ * 把属地并入所属主权国家
+ * 返回与 fetch_data.php 结构一致的新数据对象（不修改原数据），出生概率按合并后的出生人数重新计算；
+ * 合并后的条目带有 territories: [{ iso2, name }]，供结果卡片与地图联动使用
+ */
+export function groupTerritories(data) {
+    const groups = new Map();
+    findTerritories(data.countries).forEach(({ territory, sovereign }) => {
+        if (!groups.has(sovereign)) groups.set(sovereign, []);
+        groups.get(sovereign).push(territory);
+    });
+
+    const merged = new Set([...groups.values()].flat());
+    const countries = data.countries
+        .filter(c => !merged.has(c))
+        .map(c => {
+            const territories = groups.get(c);
+            if (!territories) return { ...c };
+
+            const members = [c, ...territories];
+            const births = members.reduce((sum, m) => sum + m.births, 0);
+
+            return {
+                ...c,
+                births,
+                weight: births,
+                population: sumOptional(members.map(m => m.population)),
+                birthRate: weightedAverage(members, m => m.birthRate, m => m.population),
+                gdpPerCapita: weightedAverage(members, m => m.gdpPerCapita, m => m.births),
+                landArea: sumOptional(members.map(m => m.landArea)),
+                territories: territories.map(t => ({ iso2: t.iso2, name: t.name }))
+            };
+        });
+
+    const totalBirths = countries.reduce((sum, c) => sum + c.births, 0);
+    countries.forEach(c => {
+        c.probability = totalBirths > 0 ? c.births / totalBirths * 100 : 0;
+    });
+
+    return {
+        ...data,
+        territoriesGrouped: true,
+        totalCountries: countries.length,
+        countries
+    };
+}
@@ -6,6 +6,18 @@
 import { animate, stagger } from './anime.esm.js';
 import { countryNameToISO } from './country-iso-mapping.js';
 
+// 不在抽签池内的国家颜色
+const EXCLUDED_COLOR = '#9e9e9e';
+
+// 按人均GDP着色时，人均GDP暂无数据的国家颜色
+const NO_DATA_COLOR = '#f5e6d3';
+
+// 中国-台湾联动配置
+const DEFAULT_UNIFIED_REGIONS = {
+    'CN': ['CN', 'TW'],  // 中国和台湾作为统一区域
+    'TW': ['CN', 'TW']   // 台湾也映射到同一组
+};
+
 export class WorldMapController {
     constructor(containerId, options = {}) {
         this.container = document.getElementById(containerId);
@@ -15,6 +27,8 @@ export class WorldMapController {
             colorScheme: 'probability',
             enableZoom: true,
             enablePan: true,
+            // 点击国家时的回调，参数为地图中的国家对象（含 iso2、name、data）
+            onCountryClick: null,
             ...options
         };
 
@@ -27,12 +41,14 @@ export class WorldMapController {
         this.projection = null;
         this.path = null;
         this.zoom = null;
+        this.overlay = null;
+        this.zoomScale = 1;
+        // 图鉴中已收集的国家（ISO2），用于 collected 配色方案
+        this.collectedCountries = new Set();
+        this.probabilityLabel = '出生概率';
 
-        // 中国-台湾联动配置
-        this.unifiedRegions = {
-            'CN': ['CN', 'TW'],  // 中国和台湾作为统一区域
-            'TW': ['CN', 'TW']   // 台湾也映射到同一组
-        };
+        // 联动区域（悬停与着色同步），绑定数据时会加入并入主权国家的属地
+        this.unifiedRegions = { ...DEFAULT_UNIFIED_REGIONS };
 
         this.init();
     }
@@ -83,6 +99,8 @@ export class WorldMapController {
                 .scaleExtent([1, 8])
                 .on('zoom', (event) => {
                     this.g.attr('transform', event.transform);
+                    this.zoomScale = event.transform.k;
+                    this.updateMarkerScale();
                 });
             this.svg.call(this.zoom);
         }
@@ -217,13 +235,22 @@ export class WorldMapController {
             const data = country.data;
             let content = `<strong>${name}</strong>`;
 
-            if (data) {
+            if (data && this.options.colorScheme === 'collected') {
+                content += this.collectedCountries.has(country.iso2) ? '<br>📚 已收集' : '<br>尚未收集';
+            } else if (data && data.excluded) {
+                content += '<br>不在抽签池内';
+            } else if (data) {
                 if (this.options.colorScheme === 'probability') {
-                    content += `<br>出生概率: ${(data.probability * 100).toFixed(4)}%`;
+                    // probability 已是百分数，随当前权重模式变化
+                    content += `<br>${this.probabilityLabel}: ${data.probability.toFixed(4)}%`;
                 } else if (this.options.colorScheme === 'gdp') {
-                    content += `<br>人均GDP: $${data.gdpPerCapita.toLocaleString()}`;
+                    content += data.gdpPerCapita === null
+                        ? '<br>人均GDP: 暂无数据'
+                        : `<br>人均GDP: $${data.gdpPerCapita.toLocaleString()}`;
                 } else if (this.options.colorScheme === 'birthrate') {
                     content += `<br>出生率: ${data.birthRate.toFixed(2)}‰`;
+                } else if (this.options.colorScheme === 'count') {
+                    content += `<br>命中次数: ${data.count}`;
                 }
             }
 
@@ -266,8 +293,12 @@ export class WorldMapController {
         const iso = d.properties.iso_a2 || d.id;
         const country = this.countries.get(iso);
 
-        if (country) {
-            console.log('点击国家:', country.name, country.iso);
+        if (!country) return;
+
+        if (this.options.onCountryClick) {
+            this.options.onCountryClick(country);
+        } else {
+            console.log('点击国家:', country.name, country.iso2);
         }
     }
 
@@ -276,15 +307,19 @@ export class WorldMapController {
      */
     bindData(data) {
         this.data = data;
+        this.probabilityLabel = data.probabilityLabel || '出生概率';
 
         // 处理数据格式:可能是数组或包含countries数组的对象
         const countries = Array.isArray(data) ? data : (data.countries || []);
 
-        // 计算数据范围用于颜色映射
-        const validCountries = countries.filter(c => c.iso2 && c.iso2.length === 2);
+        // 计算数据范围用于颜色映射（不在抽签池内的国家不参与）
+        const validCountries = countries.filter(c => c.iso2 && c.iso2.length === 2 && c.inPool !== false);
         const probabilities = validCountries.map(c => c.probability || 0);
-        const gdps = validCountries.map(c => c.gdpPerCapita || 0);
+        // 人均GDP暂无数据的国家不参与 GDP 颜色范围
+        const gdps = validCountries.filter(c => c.gdpPerCapita > 0).map(c => c.gdpPerCapita);
         const birthRates = validCountries.map(c => c.birthRate || 0);
+        // 命中次数按平方根映射颜色，避免少数人口大国把其他国家压成同一种颜色
+        const counts = validCountries.map(c => Math.sqrt(c.count || 0));
 
         this.dataRanges = {
             probability: {
@@ -298,11 +333,36 @@ export class WorldMapController {
             birthRate: {
                 min: Math.min(...birthRates),
                 max: Math.max(...birthRates)
+            },
+            count: {
+                min: 0,
+                max: Math.max(...counts)
             }
         };
 
         console.log('数据范围:', this.dataRanges);
 
+        // 清除上一次绑定的数据，新数据中没有的国家恢复底色
+        new Set(this.countries.values()).forEach(country => {
+            if (country.data && country.element) {
+                d3.select(country.element).style('fill', '#e0e0e0');
+            }
+            country.data = null;
+        });
+
+        // 属地并入主权国家时（条目带有 territories），属地与主权国家联动
+        this.unifiedRegions = { ...DEFAULT_UNIFIED_REGIONS };
+        countries.forEach(item => {
+            if (!item.territories || !item.territories.length) return;
+            const group = [...new Set([
+                ...(this.unifiedRegions[item.iso2] || [item.iso2]),
+                ...item.territories.map(t => t.iso2)
+            ])];
+            group.forEach(iso => {
+                this.unifiedRegions[iso] = group;
+            });
+        });
+
         let matchedCount = 0;
         countries.forEach(item => {
             // 尝试多种ISO代码和名称
@@ -340,9 +400,16 @@ export class WorldMapController {
             if (country) {
                 country.data = {
                     probability: item.probability || 0,
-                    gdpPerCapita: item.gdpPerCapita || item.gdp_per_capita || 0,
-                    birthRate: item.birthRate || item.birth_rate || 0
+                    gdpPerCapita: item.gdpPerCapita || item.gdp_per_capita || null,
+                    birthRate: item.birthRate || item.birth_rate || 0,
+                    count: item.count || 0,
+                    excluded: item.inPool === false
                 };
+                // 并入的属地显示所属国家的数据
+                (item.territories || []).forEach(t => {
+                    const territory = this.countries.get(t.iso2);
+                    if (territory) territory.data = country.data;
+                });
                 this.updateCountryColor(country);
                 matchedCount++;
             } else {
@@ -413,16 +480,46 @@ export class WorldMapController {
             return;
         }
 
+        // 收集状态与抽签池无关，池外的已收集国家同样标出
+        if (this.options.colorScheme === 'collected') {
+            color = this.collectedCountries.has(country.iso2) ? '#ff6b9d' : '#e8f4f8';
+            d3.select(country.element).style('fill', color);
+            this.syncUnifiedRegionColors(country.iso2, color);
+            return;
+        }
+
+        // 不在抽签池内的国家置灰
+        if (data.excluded) {
+            d3.select(country.element).style('fill', EXCLUDED_COLOR);
+            this.syncUnifiedRegionColors(country.iso2, EXCLUDED_COLOR);
+            return;
+        }
+
         let value, range;
         switch (this.options.colorScheme) {
             case 'gdp':
-                value = data.gdpPerCapita || 0;
+                if (data.gdpPerCapita === null) {
+                    d3.select(country.element).style('fill', NO_DATA_COLOR);
+                    this.syncUnifiedRegionColors(country.iso2, NO_DATA_COLOR);
+                    return;
+                }
+                value = data.gdpPerCapita;
                 range = this.dataRanges.gdp;
                 break;
             case 'birthrate':
                 value = data.birthRate || 0;
                 range = this.dataRanges.birthRate;
                 break;
+            case 'count':
+                // 未命中的国家使用底色
+                if (!data.count) {
+                    d3.select(country.element).style('fill', color);
+                    this.syncUnifiedRegionColors(country.iso2, color);
+                    return;
+                }
+                value = Math.sqrt(data.count);
+                range = this.dataRanges.count;
+                break;
             case 'probability':
             default:
                 value = data.probability || 0;
@@ -514,6 +611,16 @@ export class WorldMapController {
         });
     }
 
+    /**
+     * 设置已收集的国家（ISO2 集合），collected 配色方案下立即重新着色
+     */
+    setCollectedCountries(isoSet) {
+        this.collectedCountries = isoSet;
+        if (this.options.colorScheme === 'collected') {
+            this.setColorScheme('collected');
+        }
+    }
+
     /**
      * 更新颜色(别名方法,兼容旧代码)
      */
@@ -675,6 +782,164 @@ export class WorldMapController {
         }
     }
 
+    /**
+     * 获取国家的代表经纬度（取面积最大的多边形的中心，避免海外领土拉偏中心点）
+     */
+    getCountryLonLat(iso) {
+        const country = this.countries.get(iso);
+        if (!country || !country.feature) return null;
+
+        const geometry = country.feature.geometry;
+        if (geometry && geometry.type === 'MultiPolygon') {
+            let largest = null;
+            let largestArea = -1;
+            geometry.coordinates.forEach(coordinates => {
+                const polygon = { type: 'Polygon', coordinates };
+                const area = d3.geoArea(polygon);
+                if (area > largestArea) {
+                    largestArea = area;
+                    largest = polygon;
+                }
+            });
+            return d3.geoCentroid(largest);
+        }
+
+        return d3.geoCentroid(country.feature);
+    }
+
+    /**
+     * 获取叠加层（弧线、标记），随地图一起缩放
+     */
+    getOverlay() {
+        if (!this.overlay) {
+            this.overlay = this.g.append('g').attr('class', 'map-overlay');
+        }
+        return this.overlay;
+    }
+
+    /**
+     * 绘制两点之间的动画弧线
+     * from / to 为 [经度, 纬度]
+     */
+    drawArc(from, to, options = {}) {
+        if (!from || !to || !this.g) return null;
+
+        const color = options.color || '#ff6b9d';
+        const delay = options.delay || 0;
+        const duration = options.duration || 1500;
+        const [x1, y1] = this.projection(from);
+        const [x2, y2] = this.projection(to);
+
+        // 控制点位于连线中点上方，使弧线向上拱起
+        const distance = Math.hypot(x2 - x1, y2 - y1);
+        const cx = (x1 + x2) / 2;
+        const cy = (y1 + y2) / 2 - distance * 0.3;
+
+        const overlay = this.getOverlay();
+        const arc = overlay.append('path')
+            .attr('class', 'map-arc')
+            .attr('d', `M${x1},${y1} Q${cx},${cy} ${x2},${y2}`)
+            .attr('fill', 'none')
+            .attr('stroke', color)
+            .attr('stroke-width', options.width || 2.5)
+            .attr('stroke-linecap', 'round')
+            .style('vector-effect', 'non-scaling-stroke')
+            .style('pointer-events', 'none');
+
+        const length = arc.node().getTotalLength();
+        arc.attr('stroke-dasharray', `${length} ${length}`)
+            .attr('stroke-dashoffset', length)
+            .transition()
+            .delay(delay)
+            .duration(duration)
+            .ease(d3.easeCubicInOut)
+            .attr('stroke-dashoffset', 0);
+
+        // 终点圆点
+        overlay.append('circle')
+            .attr('cx', x2)
+            .attr('cy', y2)
+            .attr('r', 0)
+            .attr('fill', color)
+            .style('pointer-events', 'none')
+            .transition()
+            .delay(delay + duration)
+            .duration(300)
+            .attr('r', 3);
+
+        return arc;
+    }
+
+    /**
+     * 在指定经纬度添加标记（图标 + 文字），标记大小不随地图缩放变化
+     * lonLat 为 [经度, 纬度]
+     */
+    addMarker(lonLat, options = {}) {
+        if (!lonLat || !this.g) return null;
+
+        const [x, y] = this.projection(lonLat);
+        const color = options.color || '#ff6b9d';
+
+        const marker = this.getOverlay().append('g')
+            .datum({ x, y })
+            .attr('class', 'map-marker')
+            .style('pointer-events', 'none')
+            .style('opacity', 0);
+
+        marker.append('circle')
+            .attr('r', 14)
+            .attr('fill', 'white')
+            .attr('stroke', color)
+            .attr('stroke-width', 2);
+
+        marker.append('text')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .attr('font-size', 16)
+            .text(options.icon || '📍');
+
+        if (options.label) {
+            marker.append('text')
+                .attr('text-anchor', 'middle')
+                .attr('y', 30)
+                .attr('font-size', 12)
+                .attr('font-weight', 'bold')
+                .attr('fill', '#2d3436')
+                .attr('stroke', 'white')
+                .attr('stroke-width', 3)
+                .attr('paint-order', 'stroke')
+                .text(options.label);
+        }
+
+        this.updateMarkerScale();
+
+        marker.transition()
+            .delay(options.delay || 0)
+            .duration(400)
+            .style('opacity', 1);
+
+        return marker;
+    }
+
+    /**
+     * 按当前缩放比例反向缩放标记，使其在屏幕上保持固定大小
+     */
+    updateMarkerScale() {
+        if (!this.overlay) return;
+        this.overlay.selectAll('.map-marker')
+            .attr('transform', d => `translate(${d.x},${d.y}) scale(${1 / this.zoomScale})`);
+    }
+
+    /**
+     * 清除所有叠加层
+     */
+    clearOverlay() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
     /**
      * 重置视图
      */